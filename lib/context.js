@@ -0,0 +1,178 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Keeps track of which run the code running at the moment belongs to, so
+ * that several runs can go on side by side in one process: an uncaught error,
+ * the output written or a module mocked is put down to the run whose test
+ * did it, see core.failRunning, core.captureOutput and mock.scope.
+ *
+ * A run is whatever object core identifies it by. Code called by enter(run)
+ * belongs to that run, and so do the timers, callbacks and promises it
+ * creates, and those they create in turn, which is followed with
+ * async_hooks while enabled.
+ */
+
+
+/**
+ * The run of each async resource created while enabled, by its id, and of
+ * each promise, for unhandled rejections.
+ */
+
+var contexts = {}, promises = null;
+
+/**
+ * The run entered by the code running synchronously, see enter.
+ */
+
+var active = null;
+
+/**
+ * The run each run was started from, such as a run started by a test.
+ */
+
+var parents = new WeakMap();
+
+var async_hooks = null, hook = null, enabled = 0;
+
+
+/**
+ * Returns the run the code running at the moment belongs to, or null if it
+ * is not known.
+ *
+ * @api public
+ */
+
+exports.current = function () {
+    if (active) {
+        return active;
+    }
+    return (async_hooks && contexts[async_hooks.executionAsyncId()]) || null;
+};
+
+/**
+ * Returns the run a promise was created by, or null if it is not known, as
+ * on node 12, where async_hooks does not pass promises on.
+ *
+ * @param {Promise} promise
+ * @api public
+ */
+
+exports.ofPromise = function (promise) {
+    return (promises && promise && promises.get(promise)) || null;
+};
+
+/**
+ * Calls fn, as part of run. A run first entered from the code of another
+ * one is started from it, see within, unless that one was started from run
+ * itself, as when a run calls back the run which started it.
+ *
+ * @param {Object} run
+ * @param {Function} fn
+ * @api public
+ */
+
+exports.enter = function (run, fn) {
+    var current = exports.current();
+    if (current && !parents.has(run) && !exports.within(current, run)) {
+        parents.set(run, current);
+    }
+    var was = active;
+    active = run;
+    try {
+        return fn();
+    }
+    finally {
+        active = was;
+    }
+};
+
+/**
+ * Returns the run a run was started from, if any.
+ *
+ * @param {Object} run
+ * @api public
+ */
+
+exports.parent = function (run) {
+    return parents.get(run) || null;
+};
+
+/**
+ * Tells whether run is other, or was started from it, directly or not. A
+ * run which is not known is taken to be within any other.
+ *
+ * @param {Object} run
+ * @param {Object} other
+ * @api public
+ */
+
+exports.within = function (run, other) {
+    if (!run || !other) {
+        return true;
+    }
+    for (; run; run = exports.parent(run)) {
+        if (run === other) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Starts following the async resources created, until disable is called as
+ * many times. Does nothing on versions of node without async_hooks.
+ *
+ * @api public
+ */
+
+exports.enable = function () {
+    if (!hook) {
+        try {
+            async_hooks = require('async_hooks');
+        }
+        catch (e) {
+            return;
+        }
+        hook = async_hooks.createHook({
+            init: function (id, type, trigger, resource) {
+                var run = exports.current();
+                if (run) {
+                    contexts[id] = run;
+                    if (type === 'PROMISE') {
+                        promises.set(resource.promise || resource, run);
+                    }
+                }
+            },
+            destroy: function (id) {
+                delete contexts[id];
+            }
+        });
+    }
+    if (!enabled) {
+        promises = new WeakMap();
+        hook.enable();
+    }
+    enabled += 1;
+};
+
+/**
+ * Stops following the async resources created, see enable.
+ *
+ * @api public
+ */
+
+exports.disable = function () {
+    if (!hook || !enabled) {
+        return;
+    }
+    enabled -= 1;
+    if (!enabled) {
+        hook.disable();
+        contexts = {};
+        promises = null;
+    }
+};
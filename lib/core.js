@@ -14,8 +14,11 @@
  */
 
 var async    = require('../deps/async'), //@REMOVE_LINE_FOR_BROWSER
-    nodeunit = require('./nodeunit'),    //@REMOVE_LINE_FOR_BROWSER
-    types    = require('./types');       //@REMOVE_LINE_FOR_BROWSER
+    types    = require('./types'),       //@REMOVE_LINE_FOR_BROWSER
+    leaks    = require('./leaks'),       //@REMOVE_LINE_FOR_BROWSER
+    state    = require('./state'),       //@REMOVE_LINE_FOR_BROWSER
+    mock     = require('./mock'),        //@REMOVE_LINE_FOR_BROWSER
+    context  = require('./context');     //@REMOVE_LINE_FOR_BROWSER
 
 
 /**
@@ -46,10 +49,157 @@ var _copy = function (obj) {
 };
 
 
+/**
+ * Sets a property which is not listed by _keys, so it is not mistaken for a
+ * test or group.
+ */
+
+var _hide = function (obj, key, value) {
+    if (Object.defineProperty) {
+        Object.defineProperty(obj, key, {
+            value: value,
+            enumerable: false,
+            configurable: true,
+            writable: true
+        });
+    }
+    else {
+        obj[key] = value;
+    }
+};
+
+
+/**
+ * Returns true if obj is a promise (or any other 'thenable').
+ *
+ * @param obj
+ * @api private
+ */
+
+var isThenable = function (obj) {
+    return Boolean(obj) && typeof obj.then === 'function';
+};
+
+
+/**
+ * Turns the reason a promise was rejected with into an Error.
+ *
+ * @param reason
+ * @api private
+ */
+
+var rejectionError = function (reason) {
+    if (reason instanceof Error) {
+        return reason;
+    }
+    return new Error('Promise rejected with ' + reason);
+};
+
+
+/**
+ * Calls a test function. If it returns a promise the test is done once the
+ * promise settles: resolving calls test.done(), rejecting calls
+ * test.done(err). A test which returns a promise must not also call
+ * test.done() itself.
+ *
+ * @param {Function} fn
+ * @param {Object} context
+ * @param {Object} test
+ * @api private
+ */
+
+var callTest = function (fn, context, test) {
+    var done = test.done, called = false, promised = false;
+    var misuse = function () {
+        return new Error(
+            'test.done() was called by a test which returned a promise'
+        );
+    };
+    test.done = function (err) {
+        called = true;
+        done(promised ? misuse() : err);
+    };
+    var ret = fn.call(context, test);
+    if (!isThenable(ret)) {
+        return;
+    }
+    promised = true;
+    if (called) {
+        // done() was called before the promise was returned, the test has
+        // finished but its results have not been reported yet
+        test._assertion_list.push(types.assertion({error: misuse()}));
+        return;
+    }
+    // a test which also called done() has been finished by it already
+    ret.then(function () {
+        if (!called) {
+            done();
+        }
+    }, function (reason) {
+        if (!called) {
+            done(rejectionError(reason));
+        }
+    });
+};
+
+
+/**
+ * Calls a setUp or tearDown function. It can either call the callback it is
+ * passed or return a promise, whichever happens first finishes it.
+ *
+ * @param {Function} fn
+ * @param {Object} context
+ * @param {Function} callback
+ * @api private
+ */
+
+var callHook = function (fn, context, callback) {
+    var called = false;
+    var cb = function (err) {
+        if (!called) {
+            called = true;
+            callback(err);
+        }
+    };
+    var ret = fn.call(context, cb);
+    if (isThenable(ret)) {
+        ret.then(function () {
+            cb();
+        }, function (reason) {
+            cb(rejectionError(reason));
+        });
+    }
+};
+
+
 /**
  * Runs a test function (fn) from a loaded module. After the test function
- * calls test.done(), the callback is executed with an assertionList as its
- * second argument.
+ * calls test.done(), or the promise it returns settles, the callback is
+ * executed with an assertionList as its second argument.
+ *
+ * If opt.timeout (or test.timeout(ms)) is set, each phase of the test - its
+ * setUp, the test body and its tearDown - must finish within that many
+ * milliseconds, otherwise the test fails with a timeout error.
+ *
+ * If opt.retries (or retry(test, n)) is set, a failing test is run again, with
+ * a fresh setUp and tearDown, up to that many times. Only the results of the
+ * last attempt are reported, and a test which passed only after a retry gets
+ * a 'flaky' status assertion.
+ *
+ * If opt.checkLeaks is set, a test which leaves new properties on the global
+ * object, such as a variable assigned without being declared, fails with an
+ * error naming them, unless they match one of opt.globals, see
+ * watchGlobals. With opt.concurrency, tests running at the same time would
+ * see each other's globals, so runModule checks the module as a whole
+ * instead.
+ *
+ * If opt.restoreState is set, the changes a test makes to process.env, the
+ * working directory and process.exitCode are undone once it is done, see
+ * saveState. As with checkLeaks, with opt.concurrency only runModule does
+ * so, around the module as a whole.
+ *
+ * The modules the test mocked with mock.require are restored once it is
+ * done, see lib/mock.js.
  *
  * @param {String} name
  * @param {Function} fn
@@ -60,18 +210,246 @@ var _copy = function (obj) {
 
 exports.runTest = function (name, fn, opt, callback) {
     var options = types.options(opt);
+    var retries = (fn._retries !== undefined) ? fn._retries : options.retries;
+    var attempt = 1;
+    var concurrent = options.concurrency > 1;
+    var newGlobals = concurrent ? function () {
+        return [];
+    } : watchGlobals(options);
+    var restoreState = concurrent ? function () {
+        return null;
+    } : saveState(options);
+    var mocks = scopeMocks();
 
     options.testStart(name);
-    var start = new Date().getTime();
-    var test = types.test(name, start, options, callback);
 
-    options.testReady(test);
-    try {
-        fn(test);
+    var run = function () {
+        // hold back the results until it is known whether this attempt is
+        // the last one
+        var logs = [], result;
+        var output = captureOutput(options);
+        var a_opt = _copy(options);
+        a_opt.testDone = function (name, assertions) {
+            result = assertions;
+        };
+        a_opt._misuse = recordMisuse;
+        if (options.log && retries > 0) {
+            a_opt.log = function (a) {
+                logs.push(a);
+            };
+        }
+        runAttempt(name, fn, a_opt, function (err, a_list) {
+            var out = output.stop();
+            if (result.failures() && attempt <= retries) {
+                attempt += 1;
+                if (options.testRetry) {
+                    options.testRetry(name, attempt, result);
+                }
+                return run();
+            }
+            if (attempt > 1 && !result.failures()) {
+                var a = types.assertion({
+                    method: 'retry',
+                    status: 'flaky',
+                    message: 'passed on attempt ' + attempt + ' of ' +
+                        (retries + 1)
+                });
+                a_list.push(a);
+                logs.push(a);
+            }
+            var leaked = newGlobals();
+            if (leaked.length) {
+                var g = types.assertion({
+                    method: 'checkLeaks',
+                    error: globalsError(leaked)
+                });
+                a_list.push(g);
+                logs.push(g);
+            }
+            mocks.restore();
+            var full = options.moduleName ?
+                options.moduleName + ' - ' + name : String(name);
+            var changed = restoreState('Test ' + full);
+            if (changed) {
+                var s = types.assertion({
+                    method: 'restoreState',
+                    error: changed
+                });
+                a_list.push(s);
+                logs.push(s);
+            }
+            for (var i = 0; options.log && i < logs.length; i += 1) {
+                options.log(logs[i], name);
+            }
+            setTestResult(name, result, options, out);
+            options.testDone(name, result);
+            callback(err, a_list);
+        });
+    };
+    run();
+};
+
+/**
+ * Returns the global object, in node and in the browser.
+ *
+ * @api private
+ */
+
+var globalObject = function () {
+    if (typeof global !== 'undefined') {
+        return global;
     }
-    catch (e) {
-        test.done(e);
+    if (typeof window !== 'undefined') {
+        return window;
     }
+    return null;
+};
+
+/**
+ * Notes the properties of the global object, for the checkLeaks option.
+ * Returns a function which lists those added since, leaving out those
+ * matching a name in opt.globals, in which '*' matches any characters.
+ *
+ * @param {Object} opt
+ * @api private
+ */
+
+var watchGlobals = function (opt) {
+    var g = globalObject();
+    if (!opt.checkLeaks || !g) {
+        return function () {
+            return [];
+        };
+    }
+    var before = {}, keys = _keys(g);
+    for (var i = 0; i < keys.length; i += 1) {
+        before[keys[i]] = true;
+    }
+    var allowed = [].concat(opt.globals || []).map(function (name) {
+        return new RegExp('^' + String(name)
+            .replace(/[\-\[\]\/{}()+?.\\^$|]/g, '\\$&')
+            .replace(/\*/g, '.*') + '$');
+    });
+    return function () {
+        return _keys(g).filter(function (k) {
+            if (before.hasOwnProperty(k)) {
+                return false;
+            }
+            for (var i = 0; i < allowed.length; i += 1) {
+                if (allowed[i].test(k)) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    };
+};
+
+/**
+ * Creates the error naming the globals a test or module leaked.
+ *
+ * @param {Array} leaked - as returned by watchGlobals
+ * @api private
+ */
+
+var globalsError = function (leaked) {
+    return new Error(
+        'Global variable' + (leaked.length > 1 ? 's' : '') +
+        ' leaked: ' + leaked.join(', ')
+    );
+};
+
+/**
+ * Runs a single attempt at a test function, see runTest.
+ *
+ * @param {Array} name
+ * @param {Function} fn
+ * @param {Object} options
+ * @param {Function} callback
+ * @api private
+ */
+
+var runAttempt = function (name, fn, options, callback) {
+    var timer, timeout = options.timeout, phase = 'test', stopRunning;
+
+    var start = new Date().getTime();
+    var test = types.test(name, start, options, function (err, a_list) {
+        clearTimeout(timer);
+        stopRunning();
+        callback(err, a_list);
+    });
+    var finish = test.done;
+
+    // finishes the test early with an error, still running its tearDown
+    var abort = function (err) {
+        test._aborted = true;
+        // a stalled tearDown will never finish the test itself
+        if (phase === 'tearDown') {
+            finish(err);
+        }
+        else {
+            (test._abort || finish)(err);
+        }
+    };
+    stopRunning = startRunning(options, {fail: abort, record: test._record});
+
+    var startTimer = function () {
+        clearTimeout(timer);
+        if (timeout > 0) {
+            var ms = timeout;
+            timer = setTimeout(function () {
+                var err = new Error(
+                    (phase === 'test' ? 'Test' : phase) +
+                    ' timed out after ' + ms + 'ms'
+                );
+                err.timeout = ms;
+                if (options.testTimeout) {
+                    options.testTimeout(name, phase, ms);
+                }
+                abort(err);
+            }, ms);
+        }
+    };
+    test.timeout = function (ms) {
+        timeout = ms;
+        startTimer();
+    };
+    test.skip = function (reason) {
+        test._assertion_list.push(types.assertion({
+            method: 'skip',
+            status: 'skipped',
+            message: reason
+        }));
+        test._aborted = true;
+        (test._abort || finish)();
+    };
+    test._enterPhase = function (name) {
+        phase = name;
+        startTimer();
+    };
+    test._hookStart = function (hook) {
+        if (options.hookStart) {
+            options.hookStart(name, hook);
+        }
+    };
+    test._hookDone = function (hook, err) {
+        if (options.hookDone) {
+            options.hookDone(name, hook, err);
+        }
+    };
+    startTimer();
+
+    // the test may be started by a callback from another run, such as one
+    // the previous test started
+    enterRun(options, function () {
+        options.testReady(test);
+        try {
+            callTest(fn, undefined, test);
+        }
+        catch (e) {
+            test.done(e);
+        }
+    });
 };
 
 /**
@@ -91,40 +469,728 @@ exports.runTest = function (name, fn, opt, callback) {
 
 exports.runSuite = function (name, suite, opt, callback) {
     suite = wrapGroup(suite);
+
+    if (isAborted(opt)) {
+        return callback(null, []);
+    }
+    var reported = hasSelected(name, suite, opt, true);
+    if (reported && opt.moduleStart) {
+        // the module starts before any of its groups or setUpOnce functions
+        opt.moduleStart();
+    }
+    if (name && reported) {
+        // a named group with a test to report, rather than a whole module
+        if (opt.groupStart) {
+            opt.groupStart(name);
+        }
+        var groupCallback = callback;
+        callback = function (err, a_list) {
+            if (!err && opt.groupDone) {
+                opt.groupDone(name, types.assertionList(a_list));
+            }
+            groupCallback(err, a_list);
+        };
+    }
+
+    // setUpOnce / tearDownOnce are only worth running if a test will
+    if (!(suite._setUpOnce || suite._tearDownOnce) ||
+            !hasSelected(name, suite, opt)) {
+        return runSuiteKeys(name, suite, opt, callback);
+    }
+
+    var context = {};
+    var runHook = function (hook, callback) {
+        runOnceHook(name, hook, suite['_' + hook], context, opt, callback);
+    };
+    runHook('setUpOnce', function (err) {
+        // when setUpOnce fails every test in the group fails with its error
+        var tests = err ? failGroup(suite, err) : suite;
+        runSuiteKeys(name, tests, opt, function (err, a_list) {
+            if (err) {
+                return callback(err);
+            }
+            runHook('tearDownOnce', function (err) {
+                if (!err) {
+                    return callback(null, a_list);
+                }
+                var _name = testName(name, 'tearDownOnce');
+                var a = [types.assertion({error: err})];
+                countFailures(opt, a);
+                reportTest(_name, a, opt, function (err, a) {
+                    callback(err, a_list.concat(a));
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Runs each property of an already wrapped suite, in series or, with
+ * opt.concurrency, in parallel.
+ *
+ * @param {Array} name
+ * @param {Object} suite
+ * @param {Object} opt
+ * @param {Function} callback
+ * @api private
+ */
+
+var runSuiteKeys = function (name, suite, opt, callback) {
     var keys = _keys(suite);
+    if (opt.seed !== undefined) {
+        keys = exports.shuffle(keys, opt.seed, name ? name.join(' - ') : '');
+    }
+
+    if (opt.concurrency > 1) {
+        // siblings run in parallel, but their results are reported in the
+        // order they are defined
+        var ordered = orderedOptions(opt);
+        return concatLimit(keys, opt.concurrency, function (k, cb) {
+            var slot = ordered.slot();
+            runSuiteKey(name, suite, k, slot.options, function (err, a_list) {
+                slot.finish();
+                cb(err, a_list);
+            });
+        }, callback);
+    }
 
     async.concatSeries(keys, function (k, cb) {
-        var prop = suite[k], _name;
+        runSuiteKey(name, suite, k, opt, cb);
+    }, callback);
+};
+
+/**
+ * Runs a single property of a suite, which is either a test function or a
+ * nested group of tests.
+ *
+ * @param {Array} name
+ * @param {Object} suite
+ * @param {String} k
+ * @param {Object} opt
+ * @param {Function} cb
+ * @api private
+ */
+
+var runSuiteKey = function (name, suite, k, opt, cb) {
+    var prop = suite[k], _name = testName(name, k);
+
+    if (isAborted(opt)) {
+        return cb();
+    }
+    if (typeof prop === 'function') {
+        if (!isSelected(_name, prop, opt)) {
+            return cb();
+        }
+        if (opt.moduleStart) {
+            opt.moduleStart();
+        }
+        if (prop._mark) {
+            return reportNotRun(_name, prop._mark, opt, cb);
+        }
+        exports.runTest(_name, suite[k], opt, function (err, a_list) {
+            countFailures(opt, a_list);
+            cb(err, a_list);
+        });
+    }
+    else {
+        exports.runSuite(_name, suite[k], opt, cb);
+    }
+};
+
+/**
+ * Sets up the state shared by all the modules of a run: picks the seed for
+ * the random option, starts counting failing tests for the bail option,
+ * starts collecting the results of its tests, and keeps track of what of it
+ * is running apart from any other run. Used by runModules and
+ * nodeunit.runFiles.
+ *
+ * @param {Object} options - a copy of the options, owned by the run
+ * @api private
+ */
 
-        _name = name ? [].concat(name, k) : [k];
-        _name.toString = function () {
-            // fallback for old one
-            return this.join(' - ');
+exports.startRun = function (options) {
+    if (options.random && options.seed === undefined) {
+        options.seed = exports.randomSeed();
+    }
+    startBail(options);
+    options._tests = [];
+    options._running = [];
+};
+
+/**
+ * Sets up counting the failing tests of a run for the bail option: the run
+ * stops once opt.bail tests have failed (bail: true counts as 1). The count
+ * is shared by all copies of the options made for the run.
+ *
+ * @param {Object} options - a copy of the options, owned by the run
+ * @api private
+ */
+
+var startBail = function (options) {
+    if (options.bail && !options._bail) {
+        options._bail = {
+            limit: options.bail === true ? 1 : options.bail,
+            failed: 0,
+            aborted: false
         };
+    }
+};
+
+/**
+ * Returns true if the run has been stopped by the bail option.
+ *
+ * @param {Object} opt
+ * @api private
+ */
+
+var isAborted = exports.isAborted = function (opt) {
+    return Boolean(opt._bail && opt._bail.aborted);
+};
+
+/**
+ * Counts a finished test towards the bail limit, if it failed. Used by the
+ * modules of a run and by isolate.runFiles.
+ *
+ * @param {Object} opt
+ * @param {Array} a_list
+ * @api private
+ */
+
+var countFailures = exports.countFailures = function (opt, a_list) {
+    if (opt._bail && types.assertionList(a_list).failures()) {
+        opt._bail.failed += 1;
+        if (opt._bail.failed >= opt._bail.limit) {
+            opt._bail.aborted = true;
+        }
+    }
+};
+
+/**
+ * Creates the assertionList passed to the done callback of a run, with the
+ * results of all its tests, flagged as aborted if the bail option stopped it
+ * early. Used by runModules, nodeunit.runFiles and isolate.runFiles.
+ *
+ * @param {Array} a_list
+ * @param {Number} duration
+ * @param {Object} opt
+ * @api private
+ */
+
+exports.runResult = function (a_list, duration, opt) {
+    var assertion_list = types.assertionList(a_list, duration, opt._tests);
+    if (isAborted(opt)) {
+        assertion_list.aborted = true;
+    }
+    return assertion_list;
+};
+
+/**
+ * Returns the name of a test or group: the names of its parent groups
+ * followed by its own key.
+ *
+ * @param {Array} name - name of the parent group, or null
+ * @param {String} k
+ * @api private
+ */
+
+var testName = function (name, k) {
+    var _name = name ? [].concat(name, k) : [k];
+    _name.toString = function () {
+        // fallback for old one
+        return this.join(' - ');
+    };
+    return _name;
+};
+
+/**
+ * Returns true if the test is chosen by the testspec, testFullSpec, grep,
+ * exclude and only options.
+ *
+ * @param {Array} name
+ * @param {Function} fn
+ * @param {Object} opt
+ * @api private
+ */
+
+var isSelected = function (name, fn, opt) {
+    if (opt.only && !fn._only) {
+        return false;
+    }
+    if (opt.grep || opt.exclude) {
+        var path = (opt.moduleName ? [opt.moduleName] : []).concat(name);
+        path = path.join(' - ');
+        if (opt.grep && !matchesAny(path, opt.grep)) {
+            return false;
+        }
+        if (opt.exclude && matchesAny(path, opt.exclude)) {
+            return false;
+        }
+    }
+    if (opt.testFullSpec && name.toString() !== opt.testFullSpec) {
+        return false;
+    }
+    if (opt.testspec) {
+        for (var i = 0; i < name.length; i += 1) {
+            if (name[i] === opt.testspec) {
+                return true;
+            }
+        }
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Returns true if a test path matches any of a list of patterns. A pattern is
+ * either a RegExp, a string in slashes like '/^api - .*timeout/i' which is
+ * used as a regular expression, or a glob in which '*' matches any number of
+ * characters and '?' a single one. Globs match anywhere in the path.
+ *
+ * @param {String} path
+ * @param {Array|String|RegExp} patterns
+ * @api private
+ */
+
+var matchesAny = function (path, patterns) {
+    patterns = [].concat(patterns);
+    for (var i = 0; i < patterns.length; i += 1) {
+        if (toRegExp(patterns[i]).test(path)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Turns a grep / exclude pattern into a RegExp, see matchesAny.
+ *
+ * @param {String|RegExp} pattern
+ * @api private
+ */
+
+var toRegExp = function (pattern) {
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+    var m = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+    if (m) {
+        return new RegExp(m[1], m[2]);
+    }
+    return new RegExp(
+        String(pattern)
+            .replace(/[\-\[\]{}()+.,\\^$|#\s]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.')
+    );
+};
+
+/**
+ * Returns true if any test in a wrapped suite is selected and not marked with
+ * skip() or todo(), so will actually be run. With marked, tests marked with
+ * skip() or todo() count as well, as they are still reported.
+ *
+ * @param {Array} name
+ * @param {Object} suite
+ * @param {Object} opt
+ * @param {Boolean} marked
+ * @api private
+ */
 
+var hasSelected = function (name, suite, opt, marked) {
+    var keys = _keys(suite);
+    for (var i = 0; i < keys.length; i += 1) {
+        var prop = suite[keys[i]], _name = testName(name, keys[i]);
         if (typeof prop === 'function') {
-            var in_name = false,
-                in_specific_test = (_name.toString() === opt.testFullSpec) ? true : false;
-            for (var i = 0; i < _name.length; i += 1) {
-                if (_name[i] === opt.testspec) {
-                    in_name = true;
-                }
+            if ((marked || !prop._mark) && isSelected(_name, prop, opt)) {
+                return true;
             }
+        }
+        else if (prop && hasSelected(_name, prop, opt, marked)) {
+            return true;
+        }
+    }
+    return false;
+};
 
-            if ((!opt.testFullSpec || in_specific_test) && (!opt.testspec || in_name)) {
-                if (opt.moduleStart) {
-                    opt.moduleStart();
-                }
-                exports.runTest(_name, suite[k], opt, cb);
+/**
+ * Runs a setUpOnce or tearDownOnce function, within opt.timeout if set.
+ *
+ * @param {Array} name - name of the group, or null for a module
+ * @param {String} phase - 'setUpOnce' or 'tearDownOnce'
+ * @param {Function} fn
+ * @param {Object} context
+ * @param {Object} opt
+ * @param {Function} callback
+ * @api private
+ */
+
+var runOnceHook = function (name, phase, fn, context, opt, callback) {
+    var timer, called = false;
+    if (!fn) {
+        return callback();
+    }
+    // the hooks of a module have an empty name
+    name = name || [];
+    var cb = function (err) {
+        if (!called) {
+            called = true;
+            clearTimeout(timer);
+            stopRunning();
+            if (opt.hookDone) {
+                opt.hookDone(name, phase, err);
             }
-            else {
-                return cb();
+            callback(err);
+        }
+    };
+    var stopRunning = startRunning(opt, {fail: cb});
+    if (opt.hookStart) {
+        opt.hookStart(name, phase);
+    }
+    if (opt.timeout > 0) {
+        timer = setTimeout(function () {
+            if (opt.testTimeout) {
+                opt.testTimeout(name, phase, opt.timeout);
             }
+            var err = new Error(
+                phase + ' timed out after ' + opt.timeout + 'ms'
+            );
+            err.timeout = opt.timeout;
+            cb(err);
+        }, opt.timeout);
+    }
+    enterRun(opt, function () {
+        try {
+            callHook(fn, context, cb);
+        }
+        catch (e) {
+            cb(e);
+        }
+    });
+};
+
+/**
+ * What is running at the moment, most recently started last: test attempts,
+ * whose fail function finishes them with an error and whose record function
+ * adds one to their assertions, setUpOnce or tearDownOnce functions, which
+ * can only be failed, and modules, which collect the errors which come up
+ * between their tests. See failRunning and recordMisuse.
+ *
+ * Each run started with startRun has a list of its own, as opt._running,
+ * which also stands for the run in lib/context.js, so that runs side by side
+ * only see their own errors. This one is for the tests run by themselves,
+ * e.g. with runModule.
+ */
+
+var running = [];
+
+/**
+ * The list of the run which started something most recently, for when the
+ * run an error came from is not known.
+ */
+
+var lastRunning = running;
+
+/**
+ * Returns the running list of the run opt belongs to.
+ *
+ * @param {Object} opt
+ * @api private
+ */
+
+var runningList = function (opt) {
+    return opt._running || running;
+};
+
+/**
+ * Adds an entry to the running list of the run opt belongs to, returning a
+ * function which removes it.
+ *
+ * @param {Object} opt
+ * @param {Object} entry
+ * @api private
+ */
+
+var startRunning = function (opt, entry) {
+    var list = lastRunning = runningList(opt);
+    list.push(entry);
+    return function () {
+        var i = list.indexOf(entry);
+        if (i !== -1) {
+            list.splice(i, 1);
+        }
+    };
+};
+
+/**
+ * Calls fn as part of the run opt belongs to, so that the errors and output
+ * of the code it starts are put down to that run. See lib/context.js, which
+ * only works in node.
+ *
+ * @param {Object} opt
+ * @param {Function} fn
+ * @api private
+ */
+
+var enterRun = function (opt, fn) {
+    if (typeof context === 'undefined') {
+        return fn();
+    }
+    return context.enter(runningList(opt), fn);
+};
+
+/**
+ * Returns the running list of the run the code running at the moment
+ * belongs to, or the promise was created by. If nothing of that run is
+ * running any more, the run it was started from is tried, as with an error
+ * of a run started by a test. If the run is not known, the one which
+ * started something most recently is taken.
+ *
+ * @param {Promise} promise
+ * @api private
+ */
+
+var currentRunning = function (promise) {
+    var list = typeof context === 'undefined' ? null :
+        context.ofPromise(promise) || context.current();
+    if (!list) {
+        return lastRunning;
+    }
+    while (list && !list.length) {
+        list = context.parent(list);
+    }
+    return list || [];
+};
+
+/**
+ * Records the misuse of a test object which has finished, such as calling
+ * test.done() again, against whatever of its run started running most
+ * recently: a test, or a module between its tests. Returns false if nothing
+ * is running. See types.test.
+ *
+ * @param {Error} err
+ * @api private
+ */
+
+var recordMisuse = function (err) {
+    var running = currentRunning();
+    for (var i = running.length - 1; i >= 0; i -= 1) {
+        if (running[i].record) {
+            running[i].record(err);
+            return true;
+        }
+        if (running[i].errors) {
+            running[i].errors.push(err);
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Attributes an uncaught exception or unhandled rejection to whatever of the
+ * run it came from started running most recently: a test, or setUpOnce or
+ * tearDownOnce function, is finished with the error as errored, a module
+ * between its tests reports the error once its tests are done. Returns false
+ * if nothing is running.
+ *
+ * With the concurrency option, the error can not be traced back to one of
+ * the tests running at the same time, so all of them, those started since
+ * the innermost running module, are finished with it.
+ *
+ * Used by nodeunit.runFiles and Runner, which listen for the errors of the
+ * process while they run.
+ *
+ * @param err - the exception, or the reason of the rejection
+ * @param {Promise} promise - the promise rejected
+ * @api private
+ */
+
+exports.failRunning = function (err, promise) {
+    var running = currentRunning(promise);
+    if (!running.length) {
+        return false;
+    }
+    err = rejectionError(err);
+    err.uncaught = true;
+    var entry = running[running.length - 1];
+    if (entry.errors) {
+        entry.errors.push(err);
+        return true;
+    }
+    var failing = [];
+    for (var i = running.length - 1; i >= 0 && !running[i].errors; i -= 1) {
+        failing.push(running[i]);
+    }
+    for (i = failing.length - 1; i >= 0; i -= 1) {
+        failing[i].fail(err);
+    }
+    return true;
+};
+
+/**
+ * Returns a copy of a wrapped suite in which every test fails with err
+ * straight away, without running its setUp or tearDown. Skip, todo and only
+ * marks are kept.
+ *
+ * @param {Object} suite
+ * @param {Error} err
+ * @api private
+ */
+
+var failGroup = function (suite, err) {
+    var failed = {};
+    var keys = _keys(suite);
+    for (var i = 0; i < keys.length; i += 1) {
+        var prop = suite[keys[i]];
+        if (typeof prop === 'function') {
+            failed[keys[i]] = function (test) {
+                test.done(err);
+            };
         }
         else {
-            exports.runSuite(_name, suite[k], opt, cb);
+            failed[keys[i]] = failGroup(prop, err);
         }
-    }, callback);
+        inheritMarks(failed[keys[i]], prop, {});
+    }
+    return failed;
+};
+
+/**
+ * Reports a test marked with skip() or todo() without running it.
+ *
+ * @param {Array} name
+ * @param {Object} mark
+ * @param {Object} opt
+ * @param {Function} callback
+ * @api private
+ */
+
+var reportNotRun = function (name, mark, opt, callback) {
+    reportTest(name, [types.assertion({
+        method: mark.type,
+        status: mark.type === 'skip' ? 'skipped' : 'todo',
+        message: mark.reason
+    })], opt, callback);
+};
+
+/**
+ * Reports the assertions of a test which was not actually run, such as a
+ * skipped test or a failing tearDownOnce.
+ *
+ * @param {Array} name
+ * @param {Array} a_list
+ * @param {Object} opt
+ * @param {Function} callback
+ * @api private
+ */
+
+var reportTest = function (name, a_list, opt, callback) {
+    var options = types.options(opt);
+    var assertions = types.assertionList(a_list, 0);
+    options.testStart(name);
+    setTestResult(name, assertions, options, '');
+    options.testDone(name, assertions);
+    callback(null, a_list);
+};
+
+/**
+ * Attaches the result of a test (see types.testResult) to the assertionList
+ * passed to testDone, as its test and its only tests.
+ *
+ * @param {Array} name
+ * @param {Array} assertions
+ * @param {Object} opt
+ * @param {String} output
+ * @api private
+ */
+
+var setTestResult = function (name, assertions, opt, output) {
+    assertions.test = types.testResult(name, assertions, opt, output);
+    assertions.tests = [assertions.test];
+};
+
+/**
+ * The output captures in progress, as {chunks, run} objects, see
+ * captureOutput.
+ */
+
+var captures = [];
+
+/**
+ * Records what is written to stdout and stderr, still writing it through,
+ * until stop() is called, which returns it. Several captures can be in
+ * progress at once, such as one for a runner started by a test, and each
+ * records everything written meanwhile by its run, or by the runs started
+ * from it, as far as lib/context.js can tell.
+ *
+ * Nothing is recorded in the browser, or when tests run concurrently, as
+ * their output could not be told apart.
+ *
+ * @param {Object} opt
+ * @api private
+ */
+
+var captureOutput = function (opt) {
+    var chunks = [], patched = [];
+    var stop = function () {
+        return chunks.join('');
+    };
+    if (typeof process === 'undefined' || !process.stdout ||
+        !process.stderr || opt.concurrency > 1) {
+        return {stop: stop};
+    }
+    var streams = [process.stdout, process.stderr];
+    for (var i = 0; i < streams.length; i += 1) {
+        // unless a capture in progress already sees what is written to it
+        if (!streams[i].write._capture) {
+            var write = streams[i].write;
+            streams[i].write = captureWrite(streams[i], write);
+            patched.push({stream: streams[i], write: write});
+        }
+    }
+    var capture = {chunks: chunks, run: runningList(opt)};
+    captures.push(capture);
+    return {
+        stop: function () {
+            var i = captures.indexOf(capture);
+            if (i !== -1) {
+                captures.splice(i, 1);
+            }
+            for (i = 0; i < patched.length; i += 1) {
+                if (patched[i].stream.write._capture === patched[i].write) {
+                    patched[i].stream.write = patched[i].write;
+                }
+            }
+            patched = [];
+            return stop();
+        }
+    };
+};
+
+var recording = false;
+
+var captureWrite = function (stream, write) {
+    var fn = function (chunk) {
+        // a write passed on to another capturing write is only recorded once
+        if (!recording) {
+            var run = typeof context === 'undefined' ? null : context.current();
+            for (var i = 0; i < captures.length; i += 1) {
+                if (!run || context.within(run, captures[i].run)) {
+                    captures[i].chunks.push(String(chunk));
+                }
+            }
+        }
+        var was_recording = recording;
+        recording = true;
+        try {
+            return write.apply(stream, arguments);
+        }
+        finally {
+            recording = was_recording;
+        }
+    };
+    fn._capture = write;
+    return fn;
 };
 
 /**
@@ -139,10 +1205,36 @@ exports.runSuite = function (name, suite, opt, callback) {
 
 exports.runModule = function (name, mod, opt, callback) {
     var options = _copy(types.options(opt));
+    startBail(options);
+    if (isAborted(options)) {
+        return callback(null, []);
+    }
 
     var _run = false;
     var _moduleStart = options.moduleStart;
+    var _testDone = options.testDone;
+    var tests = [];
 
+    // a module can export its own concurrency, timeout and retries, e.g.
+    // exports.concurrency = 4
+    if (typeof mod.concurrency === 'number') {
+        options.concurrency = mod.concurrency;
+    }
+    if (typeof mod.timeout === 'number') {
+        options.timeout = mod.timeout;
+    }
+    if (typeof mod.retries === 'number') {
+        options.retries = mod.retries;
+    }
+    if (options.only === undefined) {
+        options.only = exports.hasOnly(mod);
+    }
+    // grep and exclude match the module name as part of the test path
+    options.moduleName = name;
+    if (options.seed !== undefined) {
+        // so that modules with the same layout are not shuffled alike
+        options.seed = seedFor(options.seed, name);
+    }
     mod = wrapGroup(mod);
 
     function run_once() {
@@ -150,20 +1242,181 @@ exports.runModule = function (name, mod, opt, callback) {
             _run = true;
             _moduleStart(name);
         }
-    }
-    options.moduleStart = run_once;
+    }
+    options.moduleStart = run_once;
+    options.testDone = function (name, assertions) {
+        if (assertions.test) {
+            tests.push(assertions.test);
+        }
+        _testDone(name, assertions);
+    };
+
+    var start = new Date().getTime();
+    var uncaught = [];
+    var stopRunning = startRunning(options, {errors: uncaught});
+    var checkLeaks = trackLeaks(name, options);
+    var restoreState = saveState(options);
+    var mocks = scopeMocks();
+    // the tests check their own globals, unless they run concurrently
+    var newGlobals = options.concurrency > 1 ? watchGlobals(options) :
+        function () {
+            return [];
+        };
+
+    var moduleDone = function (a_list) {
+        var end = new Date().getTime();
+        var assertion_list = types.assertionList(a_list, end - start, tests);
+        if (opt._tests) {
+            opt._tests.push.apply(opt._tests, tests);
+        }
+        // a module none of whose tests were selected is not reported at all
+        if (_run || !_keys(mod).length) {
+            options.moduleDone(name, assertion_list);
+        }
+        callback(null, a_list);
+    };
+
+    var moduleEnd = function (a_list) {
+        stopRunning();
+        mocks.restore();
+        // catches the changes made by setUpOnce, tearDownOnce or a test
+        // after it was done
+        var changed = restoreState('Module ' + name);
+        var leaked = newGlobals();
+        checkLeaks(function (leak) {
+            // errors thrown between tests are reported as a test of their
+            // own, as are the handles left open and the process state
+            // changed in strict mode, and the globals leaked by concurrent
+            // tests
+            var reports = [
+                ['uncaught error', uncaught],
+                ['leaked handles', leak ? [leak] : []],
+                ['leaked globals', leaked.length ? [globalsError(leaked)] : []],
+                ['changed process state', changed ? [changed] : []]
+            ];
+            async.concatSeries(reports, function (r, cb) {
+                reportErrors(r[0], r[1], options, cb);
+            },
+            function (err, a) {
+                moduleDone(a_list.concat(a));
+            });
+        });
+    };
+
+    enterRun(options, function () {
+        exports.runSuite(null, mod, options, function (err, a_list) {
+            moduleEnd(a_list);
+        });
+    });
+};
+
+/**
+ * Reports errors of a module which do not belong to any of its tests, such
+ * as those which came up while none of its tests was running, uncaught or
+ * from misusing a finished test, as a failed test of their own. Reports
+ * nothing if there are none.
+ *
+ * @param {String} name - the name of the test they are reported as
+ * @param {Array} errors
+ * @param {Object} opt
+ * @param {Function} callback
+ * @api private
+ */
+
+var reportErrors = function (name, errors, opt, callback) {
+    if (!errors.length) {
+        return callback(null, []);
+    }
+    var a_list = [];
+    for (var i = 0; i < errors.length; i += 1) {
+        a_list.push(types.assertion({error: errors[i]}));
+    }
+    opt.moduleStart();
+    countFailures(opt, a_list);
+    reportTest(testName(null, name), a_list, opt, callback);
+};
+
+/**
+ * Starts looking for the timers, servers, sockets and other handles a module
+ * leaves open, for the detectLeaks option. Only works in node, see
+ * lib/leaks.js. Returns a function which calls back once the module is done
+ * with an error describing the handles left open, if detectLeaks is
+ * 'strict', so that they fail the module. Otherwise they are reported as a
+ * warning.
+ *
+ * @param {String} name
+ * @param {Object} opt
+ * @api private
+ */
+
+var trackLeaks = function (name, opt) {
+    if (!opt.detectLeaks || typeof leaks === 'undefined') {
+        return function (callback) {
+            callback(null);
+        };
+    }
+    var tracker = leaks.track();
+    return function (callback) {
+        tracker.stop(function (leaked) {
+            if (!leaked.length) {
+                return callback(null);
+            }
+            var err = leaks.error(name, leaked);
+            if (opt.detectLeaks === 'strict') {
+                return callback(err);
+            }
+            leaks.warn(err);
+            callback(null);
+        });
+    };
+};
+
+/**
+ * Notes process.env, the working directory and process.exitCode, for the
+ * restoreState option. Only works in node, see lib/state.js. Returns a
+ * function which puts back whatever changed since, and returns an error
+ * saying what changed, as made by name, if restoreState is 'strict', so
+ * that it fails the test or module. Otherwise the changes are reported as
+ * a warning.
+ *
+ * @param {Object} opt
+ * @api private
+ */
+
+var saveState = function (opt) {
+    if (!opt.restoreState || typeof state === 'undefined') {
+        return function () {
+            return null;
+        };
+    }
+    var saved = state.save();
+    return function (name) {
+        var changed = saved.restore();
+        if (!changed.length) {
+            return null;
+        }
+        var err = state.error(name, changed);
+        if (opt.restoreState === 'strict') {
+            return err;
+        }
+        state.warn(err);
+        return null;
+    };
+};
 
-    var start = new Date().getTime();
+/**
+ * Starts collecting the mocks made with mock.require, so that they can be
+ * restored once a test or module is done. Only works in node, see
+ * lib/mock.js.
+ *
+ * @api private
+ */
 
-    exports.runSuite(null, mod, options, function (err, a_list) {
-        var end = new Date().getTime();
-        var assertion_list = types.assertionList(a_list, end - start);
-        options.moduleDone(name, assertion_list);
-        if (nodeunit.complete) {
-            nodeunit.complete(name, assertion_list);
-        }
-        callback(null, a_list);
-    });
+var scopeMocks = function () {
+    if (typeof mock === 'undefined') {
+        return {close: function () {}, restore: function () {}};
+    }
+    return mock.scope();
 };
 
 /**
@@ -179,15 +1432,31 @@ exports.runModule = function (name, mod, opt, callback) {
 // TODO: add proper unit tests for this function
 exports.runModules = function (modules, opt) {
     var all_assertions = [];
-    var options = types.options(opt);
+    var options = _copy(types.options(opt));
     var start = new Date().getTime();
+    var keys = _keys(modules);
+
+    exports.startRun(options);
+    if (options.seed !== undefined) {
+        keys = exports.shuffle(keys, options.seed, '');
+    }
+    if (options.only === undefined) {
+        options.only = false;
+        for (var k in modules) {
+            if (modules.hasOwnProperty(k) && exports.hasOnly(modules[k])) {
+                options.only = true;
+            }
+        }
+    }
 
-    async.concatSeries(_keys(modules), function (k, cb) {
+    async.concatSeries(keys, function (k, cb) {
         exports.runModule(k, modules[k], options, cb);
     },
     function (err, all_assertions) {
         var end = new Date().getTime();
-        options.done(types.assertionList(all_assertions, end - start));
+        options.done(
+            exports.runResult(all_assertions, end - start, options)
+        );
     });
 };
 
@@ -204,36 +1473,190 @@ exports.runModules = function (modules, opt) {
 
 var wrapTest = function (setUp, tearDown, fn) {
     return function (test) {
-        var context = {};
-        if (tearDown) {
-            var done = test.done;
-            test.done = function (err) {
-                try {
-                    tearDown.call(context, function (err2) {
-                        if (err && err2) {
-                            test._assertion_list.push(
-                                types.assertion({error: err})
-                            );
-                            return done(err2);
-                        }
-                        done(err || err2);
-                    });
-                }
-                catch (e) {
-                    done(e);
+        var context = {}, finished = false;
+        var enterPhase = function (phase) {
+            if (test._enterPhase) {
+                test._enterPhase(phase);
+            }
+        };
+        var runHook = function (hook, fn, callback) {
+            var called = false;
+            var cb = function (err) {
+                if (!called) {
+                    called = true;
+                    if (test._hookDone) {
+                        test._hookDone(hook, err);
+                    }
+                    callback(err);
                 }
             };
-        }
+            enterPhase(hook);
+            if (test._hookStart) {
+                test._hookStart(hook);
+            }
+            try {
+                callHook(fn, context, cb);
+            }
+            catch (e) {
+                cb(e);
+            }
+        };
+        var done = test.done;
+        test.done = function (err) {
+            // the test may already have been finished by a timeout
+            if (finished) {
+                return test._doneAgain();
+            }
+            finished = true;
+            test._finishing = true;
+            if (!tearDown) {
+                return done(err);
+            }
+            runHook('tearDown', tearDown, function (err2) {
+                if (err && err2) {
+                    test._assertion_list.push(
+                        types.assertion({error: err})
+                    );
+                    return done(err2);
+                }
+                done(err || err2);
+            });
+        };
+        // finishes the test early (on a timeout), still running its tearDown
+        test._abort = test.done;
         if (setUp) {
-            setUp.call(context, function (err) {
+            runHook('setUp', setUp, function (err) {
+                if (finished) {
+                    return;
+                }
                 if (err) {
                     return test.done(err);
                 }
-                fn.call(context, test);
+                enterPhase('test');
+                callTest(fn, context, test);
             });
         }
         else {
-            fn.call(context, test);
+            callTest(fn, context, test);
+        }
+    };
+};
+
+
+/**
+ * Like async.concatSeries, but runs up to limit iterators at once. The
+ * concatenated results keep the order of arr, not the order of completion.
+ *
+ * @param {Array} arr
+ * @param {Number} limit
+ * @param {Function} iterator
+ * @param {Function} callback
+ * @api private
+ */
+
+var concatLimit = function (arr, limit, iterator, callback) {
+    var results = [], started = 0, running = 0, completed = 0;
+    if (!arr.length) {
+        return callback(null, []);
+    }
+    var next = function () {
+        while (running < limit && started < arr.length) {
+            started += 1;
+            running += 1;
+            (function (i) {
+                iterator(arr[i], function (err, r) {
+                    running -= 1;
+                    completed += 1;
+                    results[i] = r || [];
+                    if (err) {
+                        callback(err);
+                        callback = function () {};
+                    }
+                    else if (completed === arr.length) {
+                        var all = [];
+                        for (var j = 0; j < results.length; j += 1) {
+                            all = all.concat(results[j]);
+                        }
+                        callback(null, all);
+                    }
+                    else {
+                        next();
+                    }
+                });
+            })(started - 1);
+        }
+    };
+    next();
+};
+
+
+/**
+ * The callbacks of a test or group which orderedOptions holds back. Left out
+ * are moduleStart, which comes before any of them anyway, and testReady,
+ * which lets the test object be changed before the test runs.
+ */
+
+var orderedCallbacks = [
+    'testStart', 'testDone', 'testRetry', 'testTimeout', 'log',
+    'groupStart', 'groupDone', 'hookStart', 'hookDone'
+];
+
+/**
+ * Hands out copies of an options object for tests running in parallel. The
+ * callbacks of each copy (slot), see orderedCallbacks, are held back until
+ * every slot handed out before it has finished, so reporters still see
+ * whole tests and groups in the order they were started, as if they ran one
+ * after another.
+ *
+ * @param {Object} opt
+ * @api private
+ */
+
+var orderedOptions = function (opt) {
+    var queues = [], finished = [], head = 0;
+    opt = types.options(opt);
+
+    var flush = function () {
+        while (head < queues.length) {
+            var queue = queues[head];
+            while (queue.length) {
+                queue.shift()();
+            }
+            if (!finished[head]) {
+                return;
+            }
+            head += 1;
+        }
+    };
+
+    var defer = function (i, fn) {
+        return function () {
+            var args = arguments;
+            queues[i].push(function () {
+                fn.apply(null, args);
+            });
+            flush();
+        };
+    };
+
+    return {
+        slot: function () {
+            var i = queues.length;
+            var options = _copy(opt);
+            queues.push([]);
+            finished.push(false);
+            orderedCallbacks.forEach(function (k) {
+                if (opt[k]) {
+                    options[k] = defer(i, opt[k]);
+                }
+            });
+            return {
+                options: options,
+                finish: function () {
+                    finished[i] = true;
+                    flush();
+                }
+            };
         }
     };
 };
@@ -256,8 +1679,8 @@ var getSerialCallback = function (fns) {
         var bound_fns = [];
         for (var i = 0, len = fns.length; i < len; i++) {
             (function (j) {
-                bound_fns.push(function () {
-                    return fns[j].apply(that, arguments);
+                bound_fns.push(function (cb) {
+                    callHook(fns[j], that, cb);
                 });
             })(i);
         }
@@ -267,17 +1690,54 @@ var getSerialCallback = function (fns) {
 
 
 /**
- * Wraps a group of tests with setUp and tearDown functions.
+ * Copies the skip / todo mark, the only() focus and the retry() count of a
+ * test or group onto its wrapped version, adding those inherited from its
+ * parent groups. The mark of a parent group wins over the test's own, but a
+ * test's own retry count wins over its group's.
+ *
+ * @param {Function|Object} wrapped
+ * @param {Function|Object} original
+ * @param {Object} inherited - {mark: ..., only: ..., retries: ...} of the
+ *     parent groups
+ * @return {Object} the marks the children of wrapped inherit
+ * @api private
+ */
+
+var inheritMarks = function (wrapped, original, inherited) {
+    var marks = {
+        mark: inherited.mark || original._mark,
+        only: inherited.only || original._only,
+        retries: (original._retries !== undefined) ?
+            original._retries : inherited.retries
+    };
+    if (marks.mark) {
+        _hide(wrapped, '_mark', marks.mark);
+    }
+    if (marks.only) {
+        _hide(wrapped, '_only', true);
+    }
+    if (marks.retries !== undefined) {
+        _hide(wrapped, '_retries', marks.retries);
+    }
+    return marks;
+};
+
+
+/**
+ * Wraps a group of tests with setUp and tearDown functions. The group's
+ * setUpOnce and tearDownOnce functions are kept on the wrapped group.
  * Used by testCase.
  *
  * @param {Object} group
  * @param {Array} setUps - parent setUp functions
  * @param {Array} tearDowns - parent tearDown functions
+ * @param {Object} marks - skip / todo / only marks of the parent groups
  * @api private
  */
 
-var wrapGroup = function (group, setUps, tearDowns) {
+var wrapGroup = function (group, setUps, tearDowns, marks) {
     var tests = {};
+    marks = inheritMarks(tests, group, marks || {});
 
     var setUps = setUps ? setUps.slice(): [];
     var tearDowns = tearDowns ? tearDowns.slice(): [];
@@ -291,6 +1751,16 @@ var wrapGroup = function (group, setUps, tearDowns) {
         delete group.tearDown;
     }
 
+    // setUpOnce and tearDownOnce are run by runSuite around the whole group
+    var onceHooks = ['setUpOnce', 'tearDownOnce'];
+    for (var j = 0; j < onceHooks.length; j += 1) {
+        var hook = group[onceHooks[j]] || group['_' + onceHooks[j]];
+        if (hook) {
+            _hide(tests, '_' + onceHooks[j], hook);
+            delete group[onceHooks[j]];
+        }
+    }
+
     var keys = _keys(group);
 
     for (var i = 0; i < keys.length; i += 1) {
@@ -301,15 +1771,352 @@ var wrapGroup = function (group, setUps, tearDowns) {
                 getSerialCallback(tearDowns),
                 group[k]
             );
+            inheritMarks(tests[k], group[k], marks);
         }
         else if (typeof group[k] === 'object') {
-            tests[k] = wrapGroup(group[k], setUps, tearDowns);
+            tests[k] = wrapGroup(group[k], setUps, tearDowns, marks);
         }
     }
     return tests;
 };
 
 
+/**
+ * Returns a copy of a test function or group carrying a skip / todo mark, an
+ * only() focus or a retry() count, leaving the original untouched.
+ *
+ * @param {Function|Object} target
+ * @param {Object} marks - {mark: ..., only: ..., retries: ...}
+ * @api private
+ */
+
+var markTest = function (target, marks) {
+    var marked;
+    if (typeof target === 'function') {
+        marked = function () {
+            return target.apply(this, arguments);
+        };
+    }
+    else {
+        marked = _copy(target);
+    }
+    inheritMarks(marked, target, marks);
+    if (marks.retries !== undefined) {
+        _hide(marked, '_retries', marks.retries);
+    }
+    return marked;
+};
+
+
+/**
+ * Marks a test function or group as skipped. It is reported as skipped
+ * instead of being run.
+ *
+ *     exports.slowTest = nodeunit.skip(function (test) { ... }, 'too slow');
+ *
+ * @param {Function|Object} test
+ * @param {String} reason
+ * @api public
+ */
+
+exports.skip = function (test, reason) {
+    return markTest(test, {mark: {type: 'skip', reason: reason}});
+};
+
+
+/**
+ * Marks a test function or group as not implemented yet. It is reported as
+ * todo instead of being run. The test function can be left out:
+ *
+ *     exports.futureFeature = nodeunit.todo('waiting for the v2 API');
+ *
+ * @param {Function|Object} test
+ * @param {String} reason
+ * @api public
+ */
+
+exports.todo = function (test, reason) {
+    if (typeof test !== 'function' && typeof test !== 'object') {
+        reason = test;
+        test = function () {};
+    }
+    return markTest(test, {mark: {type: 'todo', reason: reason}});
+};
+
+
+/**
+ * Focuses a test function or group. When any test is focused, only focused
+ * tests are run, across all the modules of a run.
+ *
+ * @param {Function|Object} test
+ * @api public
+ */
+
+exports.only = function (test) {
+    return markTest(test, {only: true});
+};
+
+
+/**
+ * Runs a failing test function, or each failing test of a group, again up to
+ * retries times before reporting it as failed. This overrides the retries
+ * option for these tests.
+ *
+ *     exports.fetchTest = nodeunit.retry(function (test) { ... }, 2);
+ *
+ * @param {Function|Object} test
+ * @param {Number} retries
+ * @api public
+ */
+
+exports.retry = function (test, retries) {
+    return markTest(test, {retries: retries});
+};
+
+
+/**
+ * Returns true if a module or group contains a test focused with only().
+ *
+ * @param {Object} suite
+ * @api public
+ */
+
+exports.hasOnly = function (suite) {
+    var keys = _keys(suite);
+    for (var i = 0; i < keys.length; i += 1) {
+        var prop = suite[keys[i]];
+        if (prop && prop._only) {
+            return true;
+        }
+        if (prop && typeof prop === 'object' && exports.hasOnly(prop)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+
+/**
+ * Creates a group with a test for each row of a table, calling fn with the
+ * test object followed by the values of the row (an array row is spread into
+ * separate arguments):
+ *
+ *     exports.add = nodeunit.each([
+ *         [1, 1, 2],
+ *         [2, 3, 5]
+ *     ], 'add(%s, %s) is %s', function (test, a, b, expected) {
+ *         test.equal(add(a, b), expected);
+ *         test.done();
+ *     });
+ *
+ * Each test is named after its row, by default its values joined with commas
+ * ("1, 1, 2"), or by filling in the name template: %s is replaced with the
+ * next value, %d with the next value as a number, %j with the next value as
+ * JSON, %# with the index of the row, %% with a percent sign, and $key with
+ * the key property of an object row. A name which is a whole number is put in
+ * brackets ("[3]"), so that the rows still run in the order of the table.
+ *
+ * @param {Array} table
+ * @param {String} name - optional name template
+ * @param {Function} fn
+ * @return {Object}
+ * @api public
+ */
+
+exports.each = function (table, name, fn) {
+    if (typeof name === 'function') {
+        fn = name;
+        name = null;
+    }
+    var group = {};
+    for (var i = 0; i < table.length; i += 1) {
+        var row = table[i];
+        var args = isArray(row) ? row : [row];
+        var k = name ? formatName(name, row, args, i) : formatRow(args);
+        if (/^(0|[1-9][0-9]*)$/.test(k)) {
+            // object keys which look like array indexes are listed first,
+            // which would change the order the rows are run in
+            k = '[' + k + ']';
+        }
+        if (group.hasOwnProperty(k)) {
+            // keep rows which format alike apart
+            k += ' #' + i;
+        }
+        group[k] = rowTest(fn, args);
+    }
+    return group;
+};
+
+
+/**
+ * Returns true if obj is an array.
+ *
+ * @param obj
+ * @api private
+ */
+
+var isArray = function (obj) {
+    return Object.prototype.toString.call(obj) === '[object Array]';
+};
+
+
+/**
+ * Returns a test function calling fn with the test and the values of a row.
+ *
+ * @param {Function} fn
+ * @param {Array} args
+ * @api private
+ */
+
+var rowTest = function (fn, args) {
+    return function (test) {
+        return fn.apply(this, [test].concat(args));
+    };
+};
+
+
+/**
+ * Formats a value of a table row for a test name.
+ *
+ * @param value
+ * @api private
+ */
+
+var formatValue = function (value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (typeof value === 'function') {
+        return value.name || 'function';
+    }
+    if (value && typeof value === 'object' && typeof JSON !== 'undefined') {
+        try {
+            return JSON.stringify(value);
+        }
+        catch (e) {
+            // circular structures
+        }
+    }
+    return String(value);
+};
+
+
+/**
+ * The default name of a test created by each(): the values of its row.
+ *
+ * @param {Array} args
+ * @api private
+ */
+
+var formatRow = function (args) {
+    var values = [];
+    for (var i = 0; i < args.length; i += 1) {
+        values.push(formatValue(args[i]));
+    }
+    return values.join(', ');
+};
+
+
+/**
+ * Fills in the name template of each() for a row, see each().
+ *
+ * @param {String} template
+ * @param row
+ * @param {Array} args
+ * @param {Number} index
+ * @api private
+ */
+
+var formatName = function (template, row, args, index) {
+    var next = 0;
+    return template.replace(/%([sdj#%])|\$(\w+)/g, function (m, spec, key) {
+        if (key) {
+            var has_key = row && typeof row === 'object' && key in row;
+            return has_key ? formatValue(row[key]) : m;
+        }
+        if (spec === '%') {
+            return '%';
+        }
+        if (spec === '#') {
+            return String(index);
+        }
+        if (next >= args.length) {
+            return m;
+        }
+        var value = args[next];
+        next += 1;
+        if (spec === 'd') {
+            return String(Number(value));
+        }
+        if (spec === 'j' && typeof JSON !== 'undefined') {
+            return JSON.stringify(value);
+        }
+        return formatValue(value);
+    });
+};
+
+
+/**
+ * Picks a seed for running modules and tests in a random order.
+ *
+ * @return {Number}
+ * @api public
+ */
+
+exports.randomSeed = function () {
+    return Math.floor(Math.random() * 1000000);
+};
+
+
+/**
+ * Combines a seed and a string into a new seed for the random number
+ * generator used by shuffle().
+ *
+ * @param {Number} seed
+ * @param {String} key
+ * @api private
+ */
+
+var seedFor = function (seed, key) {
+    var str = seed + ':' + key, hash = 0;
+    for (var i = 0; i < str.length; i += 1) {
+        hash = (hash * 31 + str.charCodeAt(i)) % 2147483647;
+    }
+    return hash;
+};
+
+
+/**
+ * Returns a shuffled copy of an array. The order only depends on the seed and
+ * the key (e.g. the name of the group being shuffled), so the same seed always
+ * gives the same order, however many other modules or tests are run.
+ *
+ * @param {Array} arr
+ * @param {Number} seed
+ * @param {String} key
+ * @return {Array}
+ * @api public
+ */
+
+exports.shuffle = function (arr, seed, key) {
+    // Park-Miller 'minimal standard' generator, the state stays small enough
+    // for exact integer arithmetic
+    var state = seedFor(seed, key || '') || 1;
+    var random = function () {
+        state = (state * 48271) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+    arr = arr.slice();
+    for (var i = arr.length - 1; i > 0; i -= 1) {
+        var j = Math.floor(random() * (i + 1));
+        var tmp = arr[i];
+        arr[i] = arr[j];
+        arr[j] = tmp;
+    }
+    return arr;
+};
+
+
 /**
  * Backwards compatibility for test suites using old testCase API
  */
@@ -0,0 +1,523 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+var core = require('./core'),
+    types = require('./types'),
+    utils = require('./utils'),
+    assert = require('./assert'),
+    child_process = require('child_process'),
+    os = require('os'),
+    path = require('path'),
+    util = require('util');
+
+
+/**
+ * The options callbacks a worker passes on to the parent, see lib/worker.js.
+ * testReady is not among them, as the test object can not be sent.
+ */
+
+exports.workerEvents = [
+    'moduleStart',
+    'moduleDone',
+    'groupStart',
+    'groupDone',
+    'testStart',
+    'testDone',
+    'testRetry',
+    'testTimeout',
+    'hookStart',
+    'hookDone',
+    'log'
+];
+
+
+/**
+ * Turns the arguments of an options callback into something which can be
+ * sent to another process: test names, assertions, assertionLists and errors
+ * are tagged with their type, so that decode can rebuild them.
+ *
+ * @param value
+ * @api private
+ */
+
+exports.encode = function (value) {
+    if (value instanceof Error) {
+        return {type: 'error', value: encodeError(value)};
+    }
+    if (Array.isArray(value) && typeof value.failures === 'function') {
+        return {type: 'list', value: encodeList(value)};
+    }
+    if (Array.isArray(value)) {
+        return {type: 'name', value: value.slice()};
+    }
+    if (value && typeof value.passed === 'function') {
+        return {type: 'assertion', value: encodeAssertion(value)};
+    }
+    return {type: 'value', value: value};
+};
+
+/**
+ * Rebuilds a value sent by encode.
+ *
+ * @param {Object} obj
+ * @api private
+ */
+
+exports.decode = function (obj) {
+    switch (obj.type) {
+    case 'error':
+        return decodeError(obj.value);
+    case 'list':
+        return decodeList(obj.value);
+    case 'name':
+        return testName(obj.value);
+    case 'assertion':
+        return decodeAssertion(obj.value);
+    default:
+        return obj.value;
+    }
+};
+
+var encodeError = function (err) {
+    var obj = {
+        name: err.name,
+        assertion: types.isAssertionError(err),
+        message: err.message,
+        stack: err.stack,
+        operator: err.operator,
+        timeout: err.timeout,
+        uncaught: err.uncaught
+    };
+    // actual and expected only need to look the same, see utils.betterErrors
+    if (err.actual !== undefined || err.expected !== undefined) {
+        obj.actual = util.inspect(err.actual, false, 10);
+        obj.expected = util.inspect(err.expected, false, 10);
+    }
+    return obj;
+};
+
+var inspected = function (str) {
+    var value = {};
+    value[util.inspect.custom] = function () {
+        return str;
+    };
+    return value;
+};
+
+var decodeError = function (obj) {
+    var err;
+    if (obj.assertion) {
+        err = new assert.AssertionError({
+            message: obj.message,
+            operator: obj.operator
+        });
+    }
+    else {
+        err = new Error(obj.message);
+        err.name = obj.name;
+    }
+    err.stack = obj.stack;
+    if (obj.actual !== undefined) {
+        err.actual = inspected(obj.actual);
+        err.expected = inspected(obj.expected);
+    }
+    if (obj.timeout) {
+        err.timeout = obj.timeout;
+    }
+    if (obj.uncaught) {
+        err.uncaught = true;
+    }
+    return err;
+};
+
+var encodeAssertion = function (a) {
+    return {
+        method: a.method,
+        message: a.message,
+        status: a.status,
+        error: a.error ? encodeError(a.error) : undefined
+    };
+};
+
+var decodeAssertion = function (obj) {
+    var a = types.assertion({
+        method: obj.method,
+        message: obj.message,
+        status: obj.status,
+        error: obj.error ? decodeError(obj.error) : undefined
+    });
+    // an empty message is not filled in from the error again
+    a.message = obj.message;
+    return a;
+};
+
+var encodeResult = function (result) {
+    return {
+        name: result.name,
+        path: result.path,
+        module: result.module,
+        file: result.file,
+        status: result.status,
+        reason: result.reason,
+        flaky: result.flaky,
+        duration: result.duration,
+        output: result.output,
+        assertions: result.assertions.map(encodeAssertion)
+    };
+};
+
+var decodeResult = function (obj, assertions) {
+    var result = {};
+    for (var k in obj) {
+        if (obj.hasOwnProperty(k)) {
+            result[k] = obj[k];
+        }
+    }
+    result.path = testName(obj.path);
+    result.assertions = assertions ||
+        types.assertionList(obj.assertions.map(decodeAssertion), obj.duration);
+    result.error = null;
+    for (var i = 0; i < result.assertions.length; i += 1) {
+        if (result.assertions[i].failed()) {
+            result.error = result.assertions[i].error;
+            break;
+        }
+    }
+    return result;
+};
+
+var encodeList = function (list) {
+    return {
+        assertions: list.map(encodeAssertion),
+        duration: list.duration,
+        aborted: list.aborted,
+        test: list.test ? encodeResult(list.test) : undefined,
+        tests: list.test ? [] : (list.tests || []).map(encodeResult)
+    };
+};
+
+var decodeList = function (obj) {
+    var list = types.assertionList(
+        obj.assertions.map(decodeAssertion), obj.duration
+    );
+    if (obj.test) {
+        // the list passed to testDone is the one its result refers to
+        list.test = decodeResult(obj.test, list);
+        list.tests = [list.test];
+    }
+    else {
+        list.tests = obj.tests.map(function (result) {
+            return decodeResult(result);
+        });
+    }
+    if (obj.aborted) {
+        list.aborted = true;
+    }
+    return list;
+};
+
+var testName = function (arr) {
+    arr = arr.slice();
+    arr.toString = function () {
+        return this.join(' - ');
+    };
+    return arr;
+};
+
+
+/**
+ * The runner options which do not apply to a worker, or can not be sent to
+ * one.
+ */
+
+var parentOptions = ['isolate', 'jobs', 'registry', 'shard', 'shardTimings'];
+
+/**
+ * Returns the options a worker runs its file with: the runner options which
+ * can be sent to another process, see utils.runnerOptionNames.
+ *
+ * @param {Object} options
+ * @api private
+ */
+
+var workerOptions = function (options) {
+    var opt = {};
+    utils.runnerOptionNames.forEach(function (k) {
+        if (options[k] !== undefined && parentOptions.indexOf(k) === -1) {
+            opt[k] = options[k];
+        }
+    });
+    // the worker sends back the modules its file loaded instead, see
+    // lib/worker.js
+    if (options.registry) {
+        opt._dependencies = true;
+    }
+    return opt;
+};
+
+
+/**
+ * Runs each test file in a child process of its own, up to options.jobs (or
+ * one per CPU) at a time, so that files can not affect each other through
+ * module state, monkey-patching or leaked handles. The options callbacks are
+ * called as if the files had been run in this process, one file after the
+ * other in order, and the callback gets the assertionList of the whole run.
+ *
+ * A worker which exits before its file is done fails the test it was
+ * running, or a test named 'worker exited' if it was between tests.
+ *
+ * When the bail option stops the run, the file being reported is reported
+ * to its end, as its worker only counts its own failing tests.
+ *
+ * Tests focused with only() in one file do not stop the tests of the other
+ * files running, as no process loads all of them.
+ *
+ * @param {Array} paths
+ * @param {Object} options - a copy of the options, owned by the run
+ * @param {Function} callback
+ * @api public
+ */
+
+exports.runFiles = function (paths, options, callback) {
+    // os.cpus() can come back empty, e.g. in some containers
+    var jobs = options.jobs > 0 ? options.jobs :
+        Math.max(1, os.cpus().length);
+    var start = new Date().getTime();
+
+    core.startRun(options);
+    utils.modulePaths(paths, function (err, files) {
+        if (err) {
+            return callback(err);
+        }
+        if (options.shard) {
+            try {
+                files = utils.shardFiles(
+                    files, options.shard, options.shardTimings
+                );
+            }
+            catch (e) {
+                return callback(e);
+            }
+        }
+        if (options.seed !== undefined) {
+            files = core.shuffle(files, options.seed, '');
+        }
+        var all_assertions = [];
+        var finished = false, started = 0, running = [];
+
+        // the events of each file, held back until the files before it are
+        // done so that they are reported in order
+        var queues = files.map(function () {
+            return [];
+        });
+        var current = 0;
+
+        var finish = function () {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            running.forEach(function (worker) {
+                worker.killed = true;
+                worker.child.kill();
+            });
+            var end = new Date().getTime();
+            callback(null, core.runResult(all_assertions, end - start, options));
+        };
+
+        var push = function (i, event) {
+            if (finished) {
+                return;
+            }
+            queues[i].push(event);
+            while (current < files.length && queues[current].length) {
+                var e = queues[current].shift();
+                if (e.type === 'done') {
+                    current += 1;
+                    if (core.isAborted(options)) {
+                        return finish();
+                    }
+                }
+                else {
+                    dispatch(current, e);
+                }
+            }
+            if (current === files.length) {
+                finish();
+            }
+        };
+
+        var states = files.map(function (file) {
+            return {
+                name: path.basename(file),
+                file: file,
+                started: false,
+                running: [],
+                assertions: [],
+                tests: []
+            };
+        });
+
+        var dispatch = function (i, e) {
+            var state = states[i];
+            if (e.type === 'output') {
+                return (e.stream === 'stderr' ? process.stderr :
+                        process.stdout).write(e.chunk);
+            }
+            if (e.type === 'exit') {
+                return reportExit(state, e.error);
+            }
+            if (e.type === 'dependencies') {
+                return options.registry.add(state.file, e.files);
+            }
+            var args = e.args.map(exports.decode);
+            if (e.type === 'moduleStart') {
+                state.started = true;
+            }
+            else if (e.type === 'testStart') {
+                state.running.push(args[0]);
+            }
+            else if (e.type === 'testDone') {
+                state.running = state.running.filter(function (name) {
+                    return name.toString() !== args[0].toString();
+                });
+                state.assertions.push.apply(state.assertions, args[1]);
+                state.tests.push(args[1].test);
+                core.countFailures(options, args[1]);
+            }
+            else if (e.type === 'moduleDone') {
+                all_assertions.push.apply(all_assertions, args[1]);
+                options._tests.push.apply(options._tests, args[1].tests);
+            }
+            if (options[e.type]) {
+                options[e.type].apply(null, args);
+            }
+        };
+
+        // fails the tests a worker was running when it exited, and finishes
+        // its module
+        var reportExit = function (state, err) {
+            if (!state.started) {
+                options.moduleStart(state.name);
+            }
+            var names = state.running;
+            if (!names.length) {
+                names = [testName(['worker exited'])];
+                options.testStart(names[0]);
+            }
+            names.forEach(function (name) {
+                var list = types.assertionList([types.assertion({error: err})]);
+                list.test = types.testResult(name, list, {
+                    moduleName: state.name,
+                    moduleFile: state.file
+                }, '');
+                list.tests = [list.test];
+                options.testDone(name, list);
+                state.assertions.push.apply(state.assertions, list);
+                state.tests.push(list.test);
+                core.countFailures(options, list);
+            });
+            var list = types.assertionList(state.assertions, 0, state.tests);
+            all_assertions.push.apply(all_assertions, list);
+            options._tests.push.apply(options._tests, state.tests);
+            options.moduleDone(state.name, list);
+        };
+
+        var next = function () {
+            if (finished || started >= files.length) {
+                return;
+            }
+            var i = started;
+            started += 1;
+            var worker = runWorker(files[i], workerOptions(options), function (e) {
+                push(i, e);
+            }, function () {
+                running.splice(running.indexOf(worker), 1);
+                next();
+            });
+            running.push(worker);
+        };
+
+        if (!files.length) {
+            return finish();
+        }
+        for (var j = 0; j < jobs; j += 1) {
+            next();
+        }
+    }, options.recursive);
+};
+
+
+/**
+ * Starts a child process running a single test file, see lib/worker.js,
+ * passing each of its events to onEvent: the options callbacks it calls,
+ * what it writes to stdout and stderr, 'exit' with an error if it exited
+ * before its file was done, and finally 'done'. Calls onExit once it has
+ * exited.
+ *
+ * @param {String} file
+ * @param {Object} options
+ * @param {Function} onEvent
+ * @param {Function} onExit
+ * @api private
+ */
+
+var runWorker = function (file, options, onEvent, onExit) {
+    var worker = {killed: false, done: false};
+    var child = worker.child = child_process.fork(
+        path.join(__dirname, 'worker.js'), [], {silent: true}
+    );
+    var exited = false;
+    var exit = function (err) {
+        if (exited) {
+            return;
+        }
+        exited = true;
+        if (!worker.killed) {
+            if (!worker.done) {
+                onEvent({type: 'exit', error: err});
+            }
+            onEvent({type: 'done'});
+        }
+        onExit();
+    };
+    ['stdout', 'stderr'].forEach(function (stream) {
+        child[stream].on('data', function (chunk) {
+            if (!worker.killed) {
+                onEvent({type: 'output', stream: stream, chunk: chunk});
+            }
+        });
+    });
+    child.on('message', function (msg) {
+        if (worker.killed) {
+            return;
+        }
+        if (msg.type === 'done') {
+            worker.done = true;
+        }
+        else {
+            onEvent(msg);
+        }
+    });
+    child.on('error', function (err) {
+        exit(err);
+    });
+    // close comes after the last of its output and messages
+    child.on('close', function (code, signal) {
+        exit(new Error(
+            'The worker running ' + file + ' ' + (signal ?
+                'was killed by ' + signal :
+                'exited with code ' + code
+            ) + ' before its tests were done'
+        ));
+    });
+    child.send({type: 'run', file: file, options: options});
+    return worker;
+};
@@ -0,0 +1,177 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+var path = require('path');
+
+
+/**
+ * The kinds of resources which keep the process alive, by their async_hooks
+ * type, with how they are described.
+ */
+
+var resourceTypes = {
+    Timeout: 'timer',
+    TCPSERVERWRAP: 'server',
+    PIPESERVERWRAP: 'server',
+    TCPWRAP: 'socket',
+    PIPEWRAP: 'socket',
+    UDPWRAP: 'socket',
+    PROCESSWRAP: 'child process',
+    FSEVENTWRAP: 'file watcher',
+    STATWATCHER: 'file watcher',
+    SIGNALWRAP: 'signal listener'
+};
+
+/**
+ * How many turns of the event loop closed resources get to be destroyed in,
+ * as a server or socket is only destroyed a little after its close callback.
+ */
+
+var settleTurns = 10;
+
+
+/**
+ * Tells whether a resource keeps the process alive, which unref()'d ones do
+ * not. Before node 11, an unref()'d timer has a handle of its own to ask.
+ *
+ * @param {Object} resource
+ * @api private
+ */
+
+var isRefed = function (resource) {
+    if (typeof resource.hasRef === 'function') {
+        return resource.hasRef();
+    }
+    if (resource._handle && typeof resource._handle.hasRef === 'function') {
+        return resource._handle.hasRef();
+    }
+    return true;
+};
+
+/**
+ * Returns the file of a line of a stack trace, e.g. "    at f (/a/b.js:1:2)".
+ *
+ * @param {String} line
+ * @api private
+ */
+
+var frameFile = function (line) {
+    var match = /\((.*):\d+:\d+\)$/.exec(line) ||
+        /at (.*):\d+:\d+$/.exec(line);
+    return match ? match[1] : null;
+};
+
+/**
+ * Returns where a resource was created, leaving out the frames of node
+ * itself, whose files are not absolute paths (e.g. "node:internal/timers" or
+ * "timers.js", depending on the version), and of this module.
+ *
+ * @api private
+ */
+
+var creationStack = function () {
+    return new Error().stack.split('\n').slice(1).filter(function (line) {
+        var file = frameFile(line);
+        return Boolean(file) && path.isAbsolute(file) && file !== __filename;
+    }).slice(0, 5).join('\n');
+};
+
+
+/**
+ * Starts recording the timers, servers, sockets, child processes and other
+ * handles created from now on, with the stack they were created at. Calling
+ * stop(callback) stops recording and calls back with those which are still
+ * open and keep the process alive, as {type, stack} objects.
+ *
+ * Needs async_hooks, which is only loaded here, so that nodeunit still loads
+ * on versions of node without it.
+ *
+ * @api public
+ */
+
+exports.track = function () {
+    var async_hooks = require('async_hooks');
+    var resources = {};
+    var hook = async_hooks.createHook({
+        init: function (id, type, trigger, resource) {
+            if (resourceTypes.hasOwnProperty(type)) {
+                resources[id] = {
+                    type: resourceTypes[type],
+                    resource: resource,
+                    stack: creationStack()
+                };
+            }
+        },
+        destroy: function (id) {
+            delete resources[id];
+        }
+    });
+    hook.enable();
+
+    var open = function () {
+        return Object.keys(resources).map(function (id) {
+            return resources[id];
+        }).filter(function (r) {
+            return isRefed(r.resource);
+        }).map(function (r) {
+            return {type: r.type, stack: r.stack};
+        });
+    };
+
+    return {
+        stop: function (callback) {
+            var turns = 0;
+            var check = function () {
+                var leaked = open();
+                if (leaked.length && turns < settleTurns) {
+                    turns += 1;
+                    return setImmediate(check);
+                }
+                hook.disable();
+                callback(leaked);
+            };
+            check();
+        }
+    };
+};
+
+/**
+ * Creates the error describing the resources a module leaked.
+ *
+ * @param {String} name - the name of the module
+ * @param {Array} leaked - as passed on by track
+ * @api public
+ */
+
+exports.error = function (name, leaked) {
+    var err = new Error(
+        'Module ' + name + ' left ' + leaked.length + ' handle' +
+        (leaked.length === 1 ? '' : 's') + ' open:\n' +
+        leaked.map(function (r) {
+            return '  ' + r.type + ' created\n' + r.stack.replace(/^/gm, '  ');
+        }).join('\n')
+    );
+    // the stacks in the message are what matter
+    err.stack = err.message;
+    err.leaked = leaked;
+    return err;
+};
+
+/**
+ * Reports leaked resources as a process warning, which node prints to
+ * stderr.
+ *
+ * @param {Error} err - see error
+ * @api public
+ */
+
+exports.warn = function (err) {
+    process.emitWarning(err.message, 'LeakWarning');
+};
@@ -0,0 +1,250 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+var Module = require('module'),
+    path = require('path'),
+    context = require('./context');
+
+
+/**
+ * The modules loaded by exports.require which are still mocked, as
+ * {module, stubs, resolved} objects.
+ */
+
+var mocks = [];
+
+/**
+ * The scopes collecting the mocks made while they are open, as
+ * {collected, run} objects, see scope.
+ */
+
+var scopes = [];
+
+/**
+ * The files loaded by exports.require since the last call to takeFiles.
+ */
+
+var files = {};
+
+/**
+ * Module._load as it was before it was hooked, or null while it is not.
+ */
+
+var load = null;
+
+
+/**
+ * Returns the file of the function which called exports.require.
+ *
+ * @api private
+ */
+
+var callerFile = function () {
+    var prepare = Error.prepareStackTrace;
+    Error.prepareStackTrace = function (err, stack) {
+        return stack;
+    };
+    var stack = new Error().stack;
+    Error.prepareStackTrace = prepare;
+    for (var i = 0; i < stack.length; i += 1) {
+        var file = stack[i].getFileName();
+        if (file && file !== __filename && path.isAbsolute(file)) {
+            return file;
+        }
+    }
+    return path.resolve('index.js');
+};
+
+/**
+ * Creates a module for file which is not loaded, nor in the require cache,
+ * to resolve paths from or load file into.
+ *
+ * @param {String} file
+ * @param {Module} parent
+ * @api private
+ */
+
+var createModule = function (file, parent) {
+    var m = new Module(file, parent || null);
+    m.filename = file;
+    m.paths = Module._nodeModulePaths(path.dirname(file));
+    return m;
+};
+
+/**
+ * Returns the file request resolves to from module m, or null if it does
+ * not resolve.
+ *
+ * @param {String} request
+ * @param {Module} m
+ * @api private
+ */
+
+var resolve = function (request, m) {
+    try {
+        return Module._resolveFilename(request, m);
+    }
+    catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Hooks Module._load, so that the mocked modules get their stubs from
+ * require. Only the requires of the mocked modules themselves are changed:
+ * the modules they load get their own dependencies as usual.
+ *
+ * @api private
+ */
+
+var hook = function () {
+    if (load) {
+        return;
+    }
+    load = Module._load;
+    Module._load = function (request, parent) {
+        for (var i = 0; i < mocks.length; i += 1) {
+            var mock = mocks[i];
+            if (mock.module === parent) {
+                if (mock.stubs.hasOwnProperty(request)) {
+                    return mock.stubs[request];
+                }
+                var file = resolve(request, parent);
+                if (file && mock.resolved.hasOwnProperty(file)) {
+                    return mock.resolved[file];
+                }
+            }
+        }
+        return load.apply(this, arguments);
+    };
+};
+
+var unhook = function () {
+    if (load && !mocks.length) {
+        Module._load = load;
+        load = null;
+    }
+};
+
+
+/**
+ * Loads a module afresh, with some of the modules it requires replaced:
+ *
+ *     var app = nodeunit.mock.require('../lib/app', {
+ *         './db': {query: function (sql, callback) { callback(null, []); }}
+ *     });
+ *
+ * The path is resolved from the file calling mock.require, and each stub is
+ * returned by require in place of the module of that name, or of any name
+ * resolving to the same file, when the mocked module requires it, even
+ * later on. Other modules, the real one included, keep getting the real
+ * dependencies, as the mocked module is never put in the require cache.
+ *
+ * Within a run, a mock made by a test, or by its setUp, is restored once the
+ * tearDown of the test has run, one made by setUpOnce once the module is
+ * done, and one made when the test file is loaded once its tests are done.
+ * From then on the mocked module gets the real dependencies too.
+ *
+ * @param {String} request
+ * @param {Object} stubs - by the name passed to require
+ * @api public
+ */
+
+exports.require = function (request, stubs) {
+    stubs = stubs || {};
+    var parent = createModule(callerFile());
+    var file = Module._resolveFilename(request, parent);
+    if (!path.isAbsolute(file)) {
+        throw new Error('Can not mock built-in module ' + request);
+    }
+    var m = createModule(file, parent);
+    var mock = {module: m, stubs: stubs, resolved: {}};
+    Object.keys(stubs).forEach(function (name) {
+        var resolved = resolve(name, m);
+        if (resolved) {
+            mock.resolved[resolved] = stubs[name];
+        }
+    });
+    mocks.push(mock);
+    var run = context.current();
+    scopes.forEach(function (s) {
+        if (!run || context.within(run, s.run)) {
+            s.collected.push(mock);
+        }
+    });
+    files[file] = true;
+    hook();
+    try {
+        m.load(file);
+    }
+    catch (e) {
+        mocks.splice(mocks.indexOf(mock), 1);
+        unhook();
+        throw e;
+    }
+    return m.exports;
+};
+
+/**
+ * Restores all the mocks, so that the mocked modules get the real
+ * dependencies from then on.
+ *
+ * @api public
+ */
+
+exports.restore = function () {
+    mocks = [];
+    unhook();
+};
+
+/**
+ * Starts collecting the mocks made from now on. Calling close() on the
+ * result stops collecting them, and restore() restores those collected.
+ * The runner restores the mocks of each test, module and test file this
+ * way. Only the mocks made by the run the scope was opened in, or by the
+ * runs started from it, are collected, see lib/context.js.
+ *
+ * @api public
+ */
+
+exports.scope = function () {
+    var collected = [];
+    var s = {collected: collected, run: context.current()};
+    scopes.push(s);
+    var close = function () {
+        var i = scopes.indexOf(s);
+        if (i !== -1) {
+            scopes.splice(i, 1);
+        }
+    };
+    return {
+        close: close,
+        restore: function () {
+            close();
+            mocks = mocks.filter(function (mock) {
+                return collected.indexOf(mock) === -1;
+            });
+            unhook();
+        }
+    };
+};
+
+/**
+ * Returns the files loaded by mock.require since the last call, which are
+ * not in the require cache, for registry.dependencies.
+ *
+ * @api public
+ */
+
+exports.takeFiles = function () {
+    var taken = Object.keys(files);
+    files = {};
+    return taken;
+};
@@ -12,9 +12,11 @@ var async = require('../deps/async'),
     types = require('./types'),
     utils = require('./utils'),
     core = require('./core'),
+    runner = require('./runner'),
+    isolate = require('./isolate'),
     reporters = require('./reporters'),
     assert = require('./assert'),
-    path = require('path'),
+    mock = require('./mock'),
     events = require('events');
 
 
@@ -26,6 +28,7 @@ exports.types = types;
 exports.utils = utils;
 exports.reporters = reporters;
 exports.assert = assert;
+exports.mock = mock;
 
 // backwards compatibility
 exports.testrunner = {
@@ -47,6 +50,70 @@ for (var k in core) {
     exports[k] = core[k];
 };
 
+exports.Runner = runner.Runner;
+exports.createRunner = runner.createRunner;
+
+
+/**
+ * Copies an options object, making its moduleDone callback also emit the
+ * 'complete' event of the nodeunit module itself.
+ *
+ * @param {Object} opt
+ * @api private
+ */
+
+var legacyOptions = function (opt) {
+    var options = {};
+    for (var k in types.options(opt)) {
+        options[k] = opt[k];
+    }
+    var moduleDone = options.moduleDone;
+    options.moduleDone = function (name, assertions) {
+        moduleDone(name, assertions);
+        exports.complete(name, assertions);
+    };
+    return options;
+};
+
+
+/**
+ * Like core.runModule, but also emits the 'complete' event of the nodeunit
+ * module once the module is done. Use a Runner to run modules without
+ * touching any shared state.
+ *
+ * @param {String} name
+ * @param {Object} mod
+ * @param {Object} opt
+ * @param {Function} callback
+ * @api public
+ */
+
+exports.runModule = function (name, mod, opt, callback) {
+    core.runModule(name, mod, legacyOptions(opt), callback);
+};
+
+
+/**
+ * Like core.runModules, but also emits the 'complete' event of the nodeunit
+ * module once each module is done, and attributes uncaught errors to the
+ * test which is running, like runFiles.
+ *
+ * @param {Object} modules
+ * @param {Object} opt
+ * @api public
+ */
+
+exports.runModules = function (modules, opt) {
+    var options = legacyOptions(opt);
+    var stopCatching = runner.catchUncaught();
+    var done = options.done;
+    options.done = function (assertions) {
+        stopCatching();
+        done(assertions);
+    };
+    core.runModules(modules, options);
+};
+
 
 /**
  * Load modules from paths array and run all exported tests in series. If a path
@@ -54,6 +121,20 @@ for (var k in core) {
  * reads 1 level deep in the directory and does not recurse through
  * sub-directories.
  *
+ * All the modules are loaded before any test is run, so that a test focused
+ * with only() in one file also stops the tests in the other files running.
+ *
+ * This emits the 'complete' and 'done' events of the nodeunit module itself,
+ * which are shared by every run in the process. Use createRunner() for runs
+ * with their own events.
+ *
+ * While the tests run, uncaught exceptions and unhandled rejections fail the
+ * test which is running rather than crashing the process, see
+ * core.failRunning.
+ *
+ * With the isolate or jobs option, each file is run in a child process of
+ * its own instead, see isolate.runFiles.
+ *
  * @param {Array} paths
  * @param {Object} opt
  * @api public
@@ -61,25 +142,47 @@ for (var k in core) {
 
 exports.runFiles = function (paths, opt) {
     var all_assertions = [];
-    var options = types.options(opt);
+    var options = {};
+    for (var k in types.options(opt)) {
+        options[k] = opt[k];
+    }
     var start = new Date().getTime();
 
     if (!paths.length) {
         return options.done(types.assertionList(all_assertions));
     }
 
-    utils.modulePaths(paths, function (err, files) {
+    if (options.isolate || options.jobs) {
+        var opts = legacyOptions(options);
+        return isolate.runFiles(paths, opts, function (err, results) {
+            if (err) throw err;
+            exports.done();
+            options.done(results);
+        });
+    }
+
+    runner.loadFiles(paths, options, function (err, modules) {
         if (err) throw err;
-        async.concatSeries(files, function (file, cb) {
-            var name = path.basename(file);
-            exports.runModule(name, require(file), options, cb);
+        var stopCatching = runner.catchUncaught();
+        async.concatSeries(modules, function (m, cb) {
+            var leave = runner.enterModule(options, m);
+            exports.runModule(
+                m.name, m.mod, runner.moduleOptions(options, m),
+                function (err, a_list) {
+                    leave();
+                    cb(err, a_list);
+                }
+            );
         },
         function (err, all_assertions) {
             var end = new Date().getTime();
+            stopCatching();
             exports.done()
-            options.done(types.assertionList(all_assertions, end - start));
+            options.done(
+                core.runResult(all_assertions, end - start, options)
+            );
         });
-    }, options.recursive);
+    });
 
 };
 
@@ -95,7 +198,7 @@ exports.complete = function(name, assertions)
     exports.emit('complete', name, assertions);
 };
 
-/* Emit event 'complete' on completion of all tests. */
+/* Emit event 'done' on completion of all tests. */
 exports.done = function()
 {
     exports.emit('done');
@@ -0,0 +1,202 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+var mock = require('./mock'),
+    path = require('path');
+
+
+/**
+ * The directories of nodeunit itself, whose modules are always shared.
+ */
+
+var own_dirs = ['lib', 'deps', 'node_modules'].map(function (dir) {
+    return path.resolve(__dirname, '..', dir) + path.sep;
+});
+
+
+/**
+ * Returns a function telling whether a module file matches an entry of the
+ * sharedModules option: a package name, e.g. 'sinon' or '@scope/pkg', matches
+ * the files of that package in any node_modules directory, and a path, e.g.
+ * './lib/db', the files under it.
+ *
+ * @param {String} name
+ * @api private
+ */
+
+var sharedMatcher = function (name) {
+    if (name.charAt(0) === '.' || path.isAbsolute(name)) {
+        var dir = path.resolve(name);
+        return function (file) {
+            return file === dir || file.indexOf(dir + path.sep) === 0 ||
+                file.indexOf(dir + '.') === 0;
+        };
+    }
+    var pkg = path.sep + 'node_modules' + path.sep +
+        name.split('/').join(path.sep) + path.sep;
+    return function (file) {
+        return file.indexOf(pkg) !== -1;
+    };
+};
+
+
+/**
+ * Creates a registry giving each test file of a run its own require cache,
+ * for the freshModules option: every module a test file loads, directly or
+ * not, is loaded again for the next file, so that state kept in a module by
+ * one file does not leak into the others.
+ *
+ * Shared by all the files are the modules loaded before the run (nodeunit
+ * included), native addons, which can only be loaded once, and the modules
+ * matching options.sharedModules, see sharedMatcher.
+ *
+ * As all the files are loaded before any test runs, the registry keeps the
+ * modules each file loaded, and puts them back in the require cache while
+ * the tests of that file run:
+ *
+ *     var mod = registry.require(file);
+ *     ...
+ *     registry.enter(file);
+ *     // run the tests of mod
+ *     registry.leave();
+ *
+ * @param {Object} options
+ * @api public
+ */
+
+exports.create = function (options) {
+    var cache = require.cache;
+    var loaded = {}, modules = {}, mocked = {}, elsewhere = {}, current = null;
+    Object.keys(cache).forEach(function (file) {
+        loaded[file] = true;
+    });
+    var matchers = (options.sharedModules || []).map(sharedMatcher);
+
+    var isShared = function (file) {
+        return loaded[file] || path.extname(file) === '.node' ||
+            own_dirs.some(function (dir) {
+                return file.indexOf(dir) === 0;
+            }) ||
+            matchers.some(function (match) {
+                return match(file);
+            });
+    };
+
+    var clear = function () {
+        Object.keys(cache).forEach(function (file) {
+            if (!isShared(file)) {
+                delete cache[file];
+            }
+        });
+    };
+
+    var record = function (file) {
+        var own = modules[file] = {};
+        Object.keys(cache).forEach(function (k) {
+            if (!isShared(k)) {
+                own[k] = cache[k];
+            }
+        });
+        // mocked modules are loaded without the require cache
+        var files = mocked[file] = mocked[file] || {};
+        mock.takeFiles().forEach(function (k) {
+            files[k] = true;
+        });
+    };
+
+    var registry = {};
+
+    /**
+     * Loads a test file with a require cache of its own.
+     *
+     * @param {String} file
+     * @api public
+     */
+
+    registry.require = function (file) {
+        clear();
+        mock.takeFiles();
+        var mod = require(file);
+        record(file);
+        return mod;
+    };
+
+    /**
+     * Puts the modules loaded by a test file back in the require cache, for
+     * the modules its tests require while they run.
+     *
+     * @param {String} file
+     * @api public
+     */
+
+    registry.enter = function (file) {
+        clear();
+        mock.takeFiles();
+        current = file;
+        var own = modules[file] || {};
+        Object.keys(own).forEach(function (k) {
+            cache[k] = own[k];
+        });
+    };
+
+    /**
+     * Removes the modules of the last test file from the require cache,
+     * keeping those its tests required as its own.
+     *
+     * @api public
+     */
+
+    registry.leave = function () {
+        if (current !== null) {
+            record(current);
+            current = null;
+        }
+        clear();
+    };
+
+    /**
+     * Records the files of the modules a test file loaded in another process,
+     * such as a worker of isolate.runFiles, for dependencies.
+     *
+     * @param {String} file
+     * @param {Array} files
+     * @api public
+     */
+
+    registry.add = function (file, files) {
+        elsewhere[file] = files.slice();
+    };
+
+    /**
+     * Returns the files of the modules each test file loaded, directly or
+     * not, by the path it was loaded from, those it mocked included. Shared
+     * modules are left out, as they are not loaded again.
+     *
+     * @api public
+     */
+
+    registry.dependencies = function () {
+        var deps = {};
+        Object.keys(elsewhere).forEach(function (file) {
+            deps[file] = elsewhere[file].slice();
+        });
+        Object.keys(modules).forEach(function (file) {
+            deps[file] = Object.keys(modules[file]);
+            Object.keys(mocked[file] || {}).forEach(function (k) {
+                if (deps[file].indexOf(k) === -1) {
+                    deps[file].push(k);
+                }
+            });
+        });
+        return deps;
+    };
+
+    return registry;
+};
@@ -75,12 +75,16 @@ exports.run = function (modules, options, callback) {
         testDone: function (name, assertions) {
             var test = document.createElement('li');
             var strong = document.createElement('strong');
+            var status = assertions.test.status;
             strong.innerHTML = name + ' <b style="color: black;">(' +
                 '<b class="fail">' + assertions.failures() + '</b>, ' +
                 '<b class="pass">' + assertions.passes() + '</b>, ' +
                 assertions.length +
-            ')</b>';
-            test.className = assertions.failures() ? 'fail': 'pass';
+            ')</b>' +
+            (status === 'errored' || status === 'timedout' ?
+                ' <b class="fail">' + status + '</b>' : '');
+            test.className = status === 'passed' ? 'pass' :
+                (status === 'skipped' || status === 'todo') ? 'skip' : 'fail';
             test.appendChild(strong);
 
             var aList = document.createElement('ol');
@@ -92,7 +96,11 @@ exports.run = function (modules, options, callback) {
             for (var i=0; i<assertions.length; i++) {
                 var li = document.createElement('li');
                 var a = assertions[i];
-                if (a.failed()) {
+                if (a.status) {
+                    li.innerHTML = a.status + (a.message ? ': ' + a.message : '');
+                    li.className = 'skip';
+                }
+                else if (a.failed()) {
                     li.innerHTML = (a.message || a.method || 'no message') +
                         (textareas ?
                           '<textarea rows="20" cols="100">' + (a.error.stack || a.error) + '</textarea>' :
@@ -113,13 +121,19 @@ exports.run = function (modules, options, callback) {
             var duration = end - start;
 
             var failures = assertions.failures();
+            var counts = assertions.summary();
             banner.className = failures ? 'fail': 'pass';
 
             result.innerHTML = 'Tests completed in ' + duration +
                 ' milliseconds.<br/><span class="passed">' +
                 assertions.passes() + '</span> assertions of ' +
-                '<span class="all">' + assertions.length + '<span> passed, ' +
-                assertions.failures() + ' failed.';
+                '<span class="all">' + (assertions.passes() + failures) +
+                '<span> passed, ' + failures + ' failed, ' +
+                assertions.skipped() + ' tests skipped, ' +
+                assertions.todo() + ' todo.<br/>' +
+                counts.tests + ' tests: ' + counts.passed + ' passed, ' +
+                counts.failed + ' failed, ' + counts.errored + ' errored, ' +
+                counts.timedout + ' timed out.';
 
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         }
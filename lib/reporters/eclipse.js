@@ -52,7 +52,7 @@ exports.run = function (files, options, callback) {
         }
     });
 
-    nodeunit.runFiles(paths, {
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         testspec: undefined,
         moduleStart: function (name) {
             console.log('\n' + name);
@@ -60,11 +60,18 @@ exports.run = function (files, options, callback) {
         testDone: function (name, assertions) {
             tracker.remove(name);
 
-            if (!assertions.failures()) {
+            var status = utils.testStatus(assertions);
+            if (!assertions.failures() && status) {
+                console.log('- ' + name + ' (' + status + ')');
+            }
+            else if (!assertions.failures()) {
                 console.log('✔ ' + name);
             }
             else {
-                console.log('✖ ' + name + '\n');
+                var failure = utils.failureStatus(assertions);
+                console.log(
+                    '✖ ' + name + (failure ? ' (' + failure + ')' : '') + '\n'
+                );
                 assertions.forEach(function (a) {
                     if (a.failed()) {
                         a = utils.betterErrors(a);
@@ -84,21 +91,31 @@ exports.run = function (files, options, callback) {
             if (assertions.failures()) {
                 console.log(
                     '\n' + 'FAILURES: ' + assertions.failures() +
-                    '/' + assertions.length + ' assertions failed (' +
+                    '/' + (assertions.passes() + assertions.failures()) +
+                    ' assertions failed' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) + ' (' +
                     assertions.duration + 'ms)'
                 );
             }
             else {
                 console.log(
-                   '\n' + 'OK: ' + assertions.length +
-                   ' assertions (' + assertions.duration + 'ms)'
+                   '\n' + 'OK: ' + assertions.passes() +
+                   ' assertions' + utils.testSummary(assertions) +
+                   utils.statusSummary(assertions) +
+                   ' (' + assertions.duration + 'ms)'
                 );
             }
+            if (utils.bailSummary(assertions)) {
+                console.log(utils.bailSummary(assertions));
+            }
+            if (utils.seedSummary(options)) {
+                console.log(utils.seedSummary(options));
+            }
 
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         },
         testStart: function (name) {
             tracker.put(name);
         }
-    });
+    }));
 };
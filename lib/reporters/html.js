@@ -50,22 +50,29 @@ exports.run = function (files, options, callback) {
     '}');
     console.log('  ol li.pass:before { content: "\\2714 \\0020"; }');
     console.log('  ol li.fail:before { content: "\\2716 \\0020"; }');
+    console.log('  ol li.skip:before { content: "- "; }');
     console.log('</style>');
     console.log('</head>');
     console.log('<body>');
-    nodeunit.runFiles(paths, {
-        testspec: options.testspec,
-        testFullSpec: options.testFullSpec,
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         moduleStart: function (name) {
             console.log('<h2>' + name + '</h2>');
             console.log('<ol>');
         },
         testDone: function (name, assertions) {
-            if (!assertions.failures()) {
+            var status = utils.testStatus(assertions);
+            if (!assertions.failures() && status) {
+                console.log('<li class="skip">' + name + ' (' + status + ')</li>');
+            }
+            else if (!assertions.failures()) {
                 console.log('<li class="pass">' + name + '</li>');
             }
             else {
-                console.log('<li class="fail">' + name);
+                var failure = utils.failureStatus(assertions);
+                console.log(
+                    '<li class="fail">' + name +
+                    (failure ? ' (' + failure + ')' : '')
+                );
                 assertions.forEach(function (a) {
                     if (a.failed()) {
                         a = utils.betterErrors(a);
@@ -91,20 +98,30 @@ exports.run = function (files, options, callback) {
             if (assertions.failures()) {
                 console.log(
                     '<h3>FAILURES: '  + assertions.failures() +
-                    '/' + assertions.length + ' assertions failed (' +
+                    '/' + (assertions.passes() + assertions.failures()) +
+                    ' assertions failed' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) + ' (' +
                     assertions.duration + 'ms)</h3>'
                 );
             }
             else {
                 console.log(
-                    '<h3>OK: ' + assertions.length +
-                    ' assertions (' + assertions.duration + 'ms)</h3>'
+                    '<h3>OK: ' + assertions.passes() +
+                    ' assertions' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) +
+                    ' (' + assertions.duration + 'ms)</h3>'
                 );
             }
+            if (utils.bailSummary(assertions)) {
+                console.log('<p>' + utils.bailSummary(assertions) + '</p>');
+            }
+            if (utils.seedSummary(options)) {
+                console.log('<p>' + utils.seedSummary(options) + '</p>');
+            }
             console.log('</body>');
             console.log('</html>');
 
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         }
-    });
+    }));
 };
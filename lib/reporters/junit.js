@@ -13,7 +13,6 @@ var nodeunit = require('../nodeunit'),
     fs = require('fs'),
     path = require('path'),
     async = require('../../deps/async'),
-    AssertionError = require('../assert').AssertionError,
     child_process = require('child_process'),
     // ejs = require('ejs');
     ejs = require('template-literal');
@@ -101,13 +100,14 @@ exports.run = function (files, opts, callback) {
     var modules = {};
     var curModule;
 
-    nodeunit.runFiles(paths, {
-        testspec: opts.testspec,
-        testFullSpec: opts.testFullSpec,
+    nodeunit.runFiles(paths, utils.runnerOptions(opts, {
         moduleStart: function (name) {
             curModule = {
                 errorCount: 0,
                 failureCount: 0,
+                skippedCount: 0,
+                flakyCount: 0,
+                seed: opts.seed,
                 tests: 0,
                 testcases: {},
                 name: name,
@@ -123,20 +123,33 @@ exports.run = function (files, opts, callback) {
         },
         testDone: function (name, assertions) {
             var testcase = curModule.testcases[name];
+            var result = assertions.test;
             testcase.end = new Date().getTime();
+            testcase.output = result.output;
+            if (result.status === 'skipped' || result.status === 'todo') {
+                testcase.skipped = utils.testStatus(assertions);
+                curModule.skippedCount++;
+            }
+            testcase.flaky = utils.flakyStatus(assertions);
+            if (testcase.flaky) {
+                curModule.flakyCount++;
+            }
             for (var i=0; i<assertions.length; i++) {
                 var a = assertions[i];
                 if (a.failed()) {
                     a = utils.betterErrors(a);
-                    testcase.failure = {
+                    var failure = {
                         message: a.message,
                         backtrace: a.error.stack
                     };
 
-                    if (a.error instanceof AssertionError) {
+                    // tests which errored or timed out are junit errors
+                    if (result.status === 'failed') {
+                        testcase.failure = failure;
                         curModule.failureCount++;
                     }
                     else {
+                        testcase.error = failure;
                         curModule.errorCount++;
                     }
                     break;
@@ -170,20 +183,30 @@ exports.run = function (files, opts, callback) {
                         console.log(
                             '\n' + bold(error('FAILURES: ')) +
                             assertions.failures() + '/' +
-                            assertions.length + ' assertions failed (' +
+                            (assertions.passes() + assertions.failures()) +
+                            ' assertions failed' + utils.testSummary(assertions) +
+                            utils.statusSummary(assertions) + ' (' +
                             assertions.duration + 'ms)'
                     	);
                     }
                     else {
                         console.log(
-                            '\n' + bold(ok('OK: ')) + assertions.length +
-                            ' assertions (' + assertions.duration + 'ms)'
+                            '\n' + bold(ok('OK: ')) + assertions.passes() +
+                            ' assertions' + utils.testSummary(assertions) +
+                            utils.statusSummary(assertions) +
+                            ' (' + assertions.duration + 'ms)'
                         );
                     }
+                    if (utils.bailSummary(assertions)) {
+                        console.log(bold(error(utils.bailSummary(assertions))));
+                    }
+                    if (utils.seedSummary(opts)) {
+                        console.log(utils.seedSummary(opts));
+                    }
                     
                     if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
                 });
             });
         }
-    });
+    }));
 }
@@ -3,6 +3,7 @@
  */
 
 var nodeunit = require('../nodeunit'),
+    utils = require('../utils'),
     path = require('path');
 
 /**
@@ -24,7 +25,7 @@ exports.run = function (files, options, callback) {
         return path.resolve(p);
     });
     
-    nodeunit.runFiles(paths, {
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         done: function (assertions) {
             var cov = (global || window)._$jscoverage || {};
 
@@ -35,7 +36,7 @@ exports.run = function (files, options, callback) {
             
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         }
-    });
+    }));
 };
 
 function reportFile(filename, data) {
@@ -83,19 +83,19 @@ exports.run = function (files, options, callback) {
         }
     });
 
-    nodeunit.runFiles(paths, {
-        testspec: options.testspec,
-        testFullSpec: options.testFullSpec,
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         moduleStart: function (name) {},
         testDone: function (name, assertions) {
             tracker.remove(name);
             if (assertions.failures()) {
+                // tests which errored or timed out are reported as errors
+                var type = utils.failureStatus(assertions) ? 'Error' : 'Fail';
                 assertions.forEach(function (a) {
                     var stacks, message, filename, row, column;
                     if (a.failed()) {
                         stackinfo = parseStack(a.error.stack, ':');
                         console.log(createErrorMessage(
-                            'Fail', name, stackinfo.filename,
+                            type, name, stackinfo.filename,
                             stackinfo.row, stackinfo.column, stackinfo.message));
                     }
                 });
@@ -107,6 +107,6 @@ exports.run = function (files, options, callback) {
         testStart: function(name) {
             tracker.put(name);
         }
-    });
+    }));
 };
 
@@ -70,9 +70,7 @@ exports.run = function (files, options, callback) {
     });
 
 
-	var opts = {
-	    testspec: options.testspec,
-	    testFullSpec: options.testFullSpec,
+	var opts = utils.runnerOptions(options, {
         moduleStart: function (name) {
             process.stdout.write(bold(name) + ': ');
         },
@@ -100,7 +98,10 @@ exports.run = function (files, options, callback) {
         testDone: function (name, assertions) {
             tracker.remove(name);
 
-            if (!assertions.failures()) {
+            if (!assertions.failures() && utils.testStatus(assertions)) {
+                process.stdout.write('-');
+            }
+            else if (!assertions.failures()) {
                 process.stdout.write('.');
             }
             else {
@@ -116,20 +117,30 @@ exports.run = function (files, options, callback) {
             if (assertions.failures()) {
                 console.log(
                     '\n' + bold(red('FAILURES: ')) + assertions.failures() +
-                    '/' + assertions.length + ' assertions failed (' +
+                    '/' + (assertions.passes() + assertions.failures()) +
+                    ' assertions failed' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) + ' (' +
                     assertions.duration + 'ms)'
                 );
             }
             else {
                 console.log(
-                    '\n' + bold(green('OK: ')) + assertions.length +
-                    ' assertions (' + assertions.duration + 'ms)'
+                    '\n' + bold(green('OK: ')) + assertions.passes() +
+                    ' assertions' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) +
+                    ' (' + assertions.duration + 'ms)'
                 );
             }
+            if (utils.bailSummary(assertions)) {
+                console.log(bold(red(utils.bailSummary(assertions))));
+            }
+            if (utils.seedSummary(options)) {
+                console.log(utils.seedSummary(options));
+            }
 
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         }
-    };
+    });
 
 	if (files && files.length) {
       var paths = files.map(function (p) {
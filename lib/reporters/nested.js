@@ -86,15 +86,22 @@ exports.run = function (files, options, callback) {
         return bold(ok(txt + " (pass)"));
     };
 
-    var fail_text = function (txt) {
-        return bold(error(txt + " (fail) " + fail_indicator + " "));
+    var fail_text = function (txt, status) {
+        return bold(error(txt + " (" + status + ") " + fail_indicator + " "));
+    };
+
+    var skip_text = function (txt, status) {
+        return bold(txt + " (" + status + ")");
     };
 
     var status_text = function (txt, status) {
         if (status === 'pass') {
             return pass_text(txt);
+        } else if (status === 'fail' || status === 'errored' ||
+                   status === 'timed out') {
+            return fail_text(txt, status);
         } else {
-            return fail_text(txt);
+            return skip_text(txt, status);
         }
     };
 
@@ -139,7 +146,8 @@ exports.run = function (files, options, callback) {
      * Prints (console.log) the nested test status line(s).
      *
      * @param {Array} name_arr - Array of name elements.
-     * @param {String} status - either 'pass' or 'fail'.
+     * @param {String} status - either 'pass', 'fail', 'errored', 'timed out'
+     *     or why the test was not run, e.g. 'skipped: too slow'.
      * @example
      *   > print_status(['TC1', 'TC1.1', 'mytest'], 'pass');
      *   TC1
@@ -165,19 +173,20 @@ exports.run = function (files, options, callback) {
         console.log(txt);
     };
 
-    nodeunit.runFiles(paths, {
-        testspec: options.testspec,
-        testFullSpec: options.testFullSpec,
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         moduleStart: function (name) {
             console.log('\n' + bold(name));
         },
         testDone: function (name, assertions) {
             tracker.remove(name);
 
-            if (!assertions.failures()) {
+            var status = utils.testStatus(assertions);
+            if (!assertions.failures() && status) {
+                print_status(name, status);
+            } else if (!assertions.failures()) {
                 print_status(name, 'pass');
             } else {
-                print_status(name, 'fail');
+                print_status(name, utils.failureStatus(assertions) || 'fail');
                 assertions.forEach(function (a) {
                     if (a.failed()) {
                         a = utils.betterErrors(a);
@@ -198,20 +207,30 @@ exports.run = function (files, options, callback) {
             if (assertions.failures()) {
                 console.log(
                     '\n' + bold(error('FAILURES: ')) + assertions.failures() +
-                        '/' + assertions.length + ' assertions failed (' +
+                        '/' + (assertions.passes() + assertions.failures()) +
+                        ' assertions failed' + utils.testSummary(assertions) +
+                        utils.statusSummary(assertions) + ' (' +
                         assertions.duration + 'ms)'
                 );
             } else {
                 console.log(
-                    '\n' + bold(ok('OK: ')) + assertions.length +
-                        ' assertions (' + assertions.duration + 'ms)'
+                    '\n' + bold(ok('OK: ')) + assertions.passes() +
+                        ' assertions' + utils.testSummary(assertions) +
+                        utils.statusSummary(assertions) +
+                        ' (' + assertions.duration + 'ms)'
                 );
             }
-            
+            if (utils.bailSummary(assertions)) {
+                console.log(bold(error(utils.bailSummary(assertions))));
+            }
+            if (utils.seedSummary(options)) {
+                console.log(utils.seedSummary(options));
+            }
+
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         },
         testStart: function (name) {
             tracker.put(name);
         }
-    });
+    }));
 };
@@ -57,15 +57,17 @@ exports.run = function (files, options, callback) {
         return path.resolve(p);
     });
 
-    nodeunit.runFiles(paths, {
-        testspec: options.testspec,
-        testFullSpec: options.testFullSpec,
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         moduleStart: function (name) {
             console.log('\n' + bold(name));
         },
         testDone: function (name, assertions) {
             if (assertions.failures()) {
-                console.log(error(fail_indicator + ' ' + name) + '\n');
+                var failure = utils.failureStatus(assertions);
+                console.log(error(
+                    fail_indicator + ' ' + name +
+                    (failure ? ' (' + failure + ')' : '')
+                ) + '\n');
                 assertions.forEach(function (a) {
                     if (a.failed()) {
                         a = utils.betterErrors(a);
@@ -93,18 +95,28 @@ exports.run = function (files, options, callback) {
             if (assertions.failures()) {
                 console.log(
                     '\n' + bold(error('FAILURES: ')) + assertions.failures() +
-                    '/' + assertions.length + ' assertions failed (' +
+                    '/' + (assertions.passes() + assertions.failures()) +
+                    ' assertions failed' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) + ' (' +
                     assertions.duration + 'ms)'
                 );
             }
             else {
                 console.log(
-                    '\n' + bold(ok('OK: ')) + assertions.length +
-                    ' assertions (' + assertions.duration + 'ms)'
+                    '\n' + bold(ok('OK: ')) + assertions.passes() +
+                    ' assertions' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) +
+                    ' (' + assertions.duration + 'ms)'
                 );
             }
+            if (utils.bailSummary(assertions)) {
+                console.log(bold(error(utils.bailSummary(assertions))));
+            }
+            if (utils.seedSummary(options)) {
+                console.log(utils.seedSummary(options));
+            }
 
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         }
-    });
+    }));
 };
@@ -3,6 +3,7 @@
  */
 
 var nodeunit = require('../nodeunit'),
+    utils = require('../utils'),
     path = require('path'),
     assert = require('tap').assert,
     tap = require('tap'),
@@ -36,14 +37,23 @@ exports.run = function (files, options, callback) {
     });
 
     tap.pipe(process.stdout);
+    if (options.seed !== undefined) {
+        tap.comment('seed: ' + options.seed);
+    }
 
-    nodeunit.runFiles(paths, {
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         testStart: function (name) {
             tap.comment(name.toString());
         },
         testDone: function (name, assertions) {
             assertions.forEach(function (e) {
                 var extra = {};
+                if (e.status === 'skipped') {
+                    extra.skip = e.message || true;
+                }
+                else if (e.status === 'todo') {
+                    extra.todo = e.message || true;
+                }
                 if (e.error) {
                     extra.error = {
                         name: e.error.name,
@@ -60,8 +70,18 @@ exports.run = function (files, options, callback) {
             });
         },
         done: function (assertions) {
+            var counts = assertions.summary();
+            tap.comment(
+                'tests ' + counts.tests + ', passed ' + counts.passed +
+                ', failed ' + counts.failed + ', errored ' + counts.errored +
+                ', timed out ' + counts.timedout + ', skipped ' +
+                (counts.skipped + counts.todo)
+            );
+            if (utils.bailSummary(assertions)) {
+                tap.comment(utils.bailSummary(assertions));
+            }
             tap.end();
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         }
-    });
+    }));
 };
@@ -53,6 +53,7 @@ exports.run = function (files, options, callback) {
     };
     var pass_indicator = process.platform === 'win32' ? '\u221A' : '✔';
     var fail_indicator = process.platform === 'win32' ? '\u00D7' : '✖';
+    var skip_indicator = '-';
 
     var start = new Date().getTime();
     var paths = files.map(function (p) {
@@ -74,23 +75,35 @@ exports.run = function (files, options, callback) {
         }
     });
 
-    nodeunit.runFiles(paths, {
-        testspec: options.testspec,
-        testFullSpec: options.testFullSpec,
+    nodeunit.runFiles(paths, utils.runnerOptions(options, {
         moduleStart: function (name) {
             console.log('\n' + bold(name));
         },
         testDone: function (name, assertions) {
             tracker.remove(name);
 
-            if (!assertions.failures()) {
-                console.log(pass_indicator + ' ' + name);
+            var status = utils.testStatus(assertions);
+            if (!assertions.failures() && status) {
+                console.log(skip_indicator + ' ' + name + ' (' + status + ')');
+            }
+            else if (!assertions.failures()) {
+                var flaky = utils.flakyStatus(assertions);
+                console.log(
+                    pass_indicator + ' ' + name + (flaky ? ' (' + flaky + ')' : '')
+                );
             }
             else {
-                console.log(error(fail_indicator + ' ' + name));
+                var failure = utils.failureStatus(assertions);
+                console.log(error(
+                    fail_indicator + ' ' + name +
+                    (failure ? ' (' + failure + ')' : '')
+                ));
             }
             // verbose so print everything
             assertions.forEach(function (a) {
+              if (a.status) {
+                return;
+              }
               if (a.failed()) {
                 console.log(error('  ' + fail_indicator + ' ' + a.message));
                 a = utils.betterErrors(a);
@@ -107,21 +120,31 @@ exports.run = function (files, options, callback) {
             if (assertions.failures()) {
                 console.log(
                     '\n' + bold(error('FAILURES: ')) + assertions.failures() +
-                    '/' + assertions.length + ' assertions failed (' +
+                    '/' + (assertions.passes() + assertions.failures()) +
+                    ' assertions failed' + utils.testSummary(assertions) +
+                    utils.statusSummary(assertions) + ' (' +
                     assertions.duration + 'ms)'
                 );
             }
             else {
                 console.log(
-                   '\n' + bold(ok('OK: ')) + assertions.length +
-                   ' assertions (' + assertions.duration + 'ms)'
+                   '\n' + bold(ok('OK: ')) + assertions.passes() +
+                   ' assertions' + utils.testSummary(assertions) +
+                   utils.statusSummary(assertions) +
+                   ' (' + assertions.duration + 'ms)'
                 );
             }
-            
+            if (utils.bailSummary(assertions)) {
+                console.log(bold(error(utils.bailSummary(assertions))));
+            }
+            if (utils.seedSummary(options)) {
+                console.log(utils.seedSummary(options));
+            }
+
             if (callback) callback(assertions.failures() ? new Error('We have got test failures.') : undefined);
         },
         testStart: function(name) {
             tracker.put(name);
         }
-    });
+    }));
 };
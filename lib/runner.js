@@ -0,0 +1,616 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+var async = require('../deps/async'),
+    core = require('./core'),
+    context = require('./context'),
+    isolate = require('./isolate'),
+    mock = require('./mock'),
+    registry = require('./registry'),
+    utils = require('./utils'),
+    events = require('events'),
+    path = require('path'),
+    util = require('util');
+
+
+/**
+ * The options callbacks which a Runner also emits as events, with the same
+ * arguments.
+ */
+
+var callbackEvents = [
+    'moduleStart',
+    'moduleDone',
+    'groupStart',
+    'groupDone',
+    'testStart',
+    'testReady',
+    'testDone',
+    'testRetry',
+    'testTimeout',
+    'hookStart',
+    'hookDone',
+    'log'
+];
+
+
+/**
+ * Turns the arguments of each options callback into the structured events of
+ * a run, see Runner. Each is called with the runner first.
+ */
+
+var structuredEvents = {
+    moduleStart: function (runner, name) {
+        runner._module = name;
+        runner._event('module:start', {module: name});
+    },
+    moduleDone: function (runner, name, assertions) {
+        runner._event('module:end', {
+            module: name,
+            assertions: assertions,
+            duration: assertions.duration
+        });
+    },
+    groupStart: function (runner, name) {
+        runner._event('group:start', runner._testPayload(name));
+    },
+    groupDone: function (runner, name, assertions) {
+        var payload = runner._testPayload(name);
+        payload.assertions = assertions;
+        runner._event('group:end', payload);
+    },
+    testStart: function (runner, name) {
+        runner._event('test:start', runner._testPayload(name));
+    },
+    testDone: function (runner, name, assertions) {
+        var result = assertions.test, payload;
+        if (result.status === 'skipped' || result.status === 'todo') {
+            payload = runner._testPayload(name);
+            payload.status = result.status;
+            payload.reason = result.reason;
+            runner._event('test:skip', payload);
+        }
+        payload = runner._testPayload(name);
+        payload.status = result.status;
+        payload.result = result;
+        payload.assertions = assertions;
+        payload.duration = assertions.duration;
+        runner._event('test:end', payload);
+    },
+    testRetry: function (runner, name, attempt, assertions) {
+        var payload = runner._testPayload(name);
+        payload.attempt = attempt;
+        payload.assertions = assertions;
+        runner._event('test:retry', payload);
+    },
+    testTimeout: function (runner, name, phase, ms) {
+        var payload = runner._testPayload(name);
+        payload.phase = phase;
+        payload.ms = ms;
+        runner._event('test:timeout', payload);
+    },
+    hookStart: function (runner, name, hook) {
+        var payload = runner._testPayload(name);
+        payload.hook = hook;
+        runner._event('hook:start', payload);
+    },
+    hookDone: function (runner, name, hook, err) {
+        var payload = runner._testPayload(name);
+        payload.hook = hook;
+        payload.error = err || null;
+        runner._event('hook:end', payload);
+    },
+    log: function (runner, assertion, name) {
+        var payload = runner._testPayload(name);
+        payload.assertion = assertion;
+        runner._event('assertion', payload);
+    }
+};
+
+
+/**
+ * The number of runs listening for the uncaught errors of the process, see
+ * catchUncaught.
+ */
+
+var catching = 0;
+
+var uncaughtHandler = function (event) {
+    return function (err, promise) {
+        // leave the error to anyone else listening for it, such as a test
+        // which expects it
+        if (process.listenerCount(event) > 1) {
+            return;
+        }
+        if (event !== 'unhandledRejection') {
+            promise = undefined;
+        }
+        if (!core.failRunning(err, promise)) {
+            // nothing to blame it on, so crash as if nobody was listening
+            throw err;
+        }
+    };
+};
+
+var onException = uncaughtHandler('uncaughtException'),
+    onRejection = uncaughtHandler('unhandledRejection');
+
+/**
+ * Starts attributing uncaught exceptions and unhandled rejections to the
+ * test which is running, see core.failRunning, instead of letting them
+ * crash the process. Errors are left alone while anything else listens for
+ * them too. Returns a function which stops it again. While several runs are
+ * in progress, e.g. a run started by a test, the process is only listened to
+ * once, and lib/context.js tells which run an error came from.
+ *
+ * @api private
+ */
+
+exports.catchUncaught = function () {
+    var stopped = false;
+    if (!catching) {
+        process.on('uncaughtException', onException);
+        process.on('unhandledRejection', onRejection);
+    }
+    catching += 1;
+    context.enable();
+    return function () {
+        if (!stopped) {
+            stopped = true;
+            context.disable();
+            catching -= 1;
+            if (!catching) {
+                process.removeListener('uncaughtException', onException);
+                process.removeListener('unhandledRejection', onRejection);
+            }
+        }
+    };
+};
+
+
+/**
+ * Finds and loads the test modules at each path, see utils.modulePaths, and
+ * works out which options apply to the whole run. Calls back with an array
+ * of {name: ..., mod: ..., file: ...} objects, in the order they should be
+ * run.
+ *
+ * All the modules are loaded before any test is run, so that a test focused
+ * with only() in one file also stops the tests in the other files running.
+ *
+ * @param {Array} paths
+ * @param {Object} options - a copy of the options, owned by the run
+ * @param {Function} callback
+ * @api private
+ */
+
+exports.loadFiles = function (paths, options, callback) {
+    core.startRun(options);
+    if (options.registry || options.freshModules) {
+        options._registry = options.registry || registry.create(options);
+    }
+    utils.modulePaths(paths, function (err, files) {
+        if (err) {
+            return callback(err);
+        }
+        if (options.shard) {
+            try {
+                files = utils.shardFiles(
+                    files, options.shard, options.shardTimings
+                );
+            }
+            catch (e) {
+                return callback(e);
+            }
+        }
+        if (options.seed !== undefined) {
+            files = core.shuffle(files, options.seed, '');
+        }
+        var modules;
+        try {
+            modules = files.map(function (file) {
+                // the mocks made by the file itself last until its tests
+                // are done, see enterModule
+                var mocks = mock.scope();
+                try {
+                    return {
+                        name: path.basename(file),
+                        mod: options._registry ?
+                            options._registry.require(file) : require(file),
+                        file: file,
+                        mocks: mocks
+                    };
+                }
+                finally {
+                    mocks.close();
+                }
+            });
+        }
+        catch (e) {
+            return callback(e);
+        }
+        if (options.only === undefined) {
+            options.only = modules.some(function (m) {
+                return core.hasOnly(m.mod);
+            });
+        }
+        callback(null, modules);
+    }, options.recursive);
+};
+
+
+/**
+ * Puts back the require cache a module was loaded with by loadFiles, for the
+ * freshModules and registry options, see registry.create. Returns the function to call
+ * once the module is done, which also restores the modules it mocked when it
+ * was loaded, see mock.require.
+ *
+ * @param {Object} options
+ * @param {Object} m - {name: ..., mod: ..., file: ...}
+ * @api private
+ */
+
+exports.enterModule = function (options, m) {
+    var reg = options._registry;
+    if (reg && m.file) {
+        reg.enter(m.file);
+    }
+    return function () {
+        if (reg && m.file) {
+            reg.leave();
+        }
+        if (m.mocks) {
+            m.mocks.restore();
+        }
+    };
+};
+
+
+/**
+ * Returns a copy of the options of a run for one of the modules loaded by
+ * loadFiles, adding the file it was loaded from as moduleFile, which ends up
+ * in the results of its tests.
+ *
+ * @param {Object} options
+ * @param {Object} m - {name: ..., mod: ..., file: ...}
+ * @api private
+ */
+
+exports.moduleOptions = function (options, m) {
+    var opt = {};
+    for (var k in options) {
+        if (options.hasOwnProperty(k)) {
+            opt[k] = options[k];
+        }
+    }
+    opt.moduleFile = m.file;
+    return opt;
+};
+
+
+/**
+ * A Runner runs test files or modules with a set of options, emitting the
+ * options callbacks (moduleStart, moduleDone, groupStart, groupDone,
+ * testStart, testReady, testDone, testRetry, testTimeout, hookStart, hookDone
+ * and log) as events with the same arguments, 'complete' with the name and
+ * assertions of each module once it is done, and 'done' with the
+ * assertionList of the whole run at the end.
+ *
+ * It also emits the lifecycle of the run as structured events, each with a
+ * single payload object holding its type and time:
+ *
+ *   - run:start {paths|modules, seed}
+ *   - file:loaded {module, file}
+ *   - module:start, module:end {module[, assertions, duration]}
+ *   - group:start, group:end {module, path, name[, assertions]}
+ *   - test:start {module, path, name}
+ *   - assertion {module, path, name, assertion}
+ *   - hook:start, hook:end {module, path, name, hook[, error]}
+ *   - test:skip {module, path, name, status, reason}
+ *   - test:retry {module, path, name, attempt, assertions}
+ *   - test:timeout {module, path, name, phase, ms}
+ *   - test:end {module, path, name, status, result, assertions, duration}
+ *   - run:end {assertions, duration, aborted}
+ *
+ * Every structured event is emitted as 'event' as well, for listeners which
+ * want all of them.
+ *
+ * While a runner runs, uncaught exceptions and unhandled rejections fail the
+ * test which is running rather than crashing the process.
+ *
+ * A runner runs one set of files at a time, but can be reused once it is
+ * done, as each run starts afresh. Several runners can run at the same time
+ * in one process, as each run keeps what of it is running apart, and
+ * lib/context.js tells which run an uncaught error, the output written or a
+ * mock made belongs to.
+ *
+ * @param {Object} options
+ * @api public
+ */
+
+var Runner = exports.Runner = function (options) {
+    events.EventEmitter.call(this);
+    this.options = options || {};
+    this.results = null;
+    this.running = false;
+    this.disposed = false;
+};
+
+util.inherits(Runner, events.EventEmitter);
+
+
+/**
+ * Loads the modules at each path and runs their tests. If a path is a
+ * directory, all the supported file types inside it are loaded, see
+ * utils.modulePaths. Calls back with the assertionList of the run, which
+ * is also kept as runner.results.
+ *
+ * With the isolate or jobs option, each file is run in a child process of
+ * its own, see isolate.runFiles, and no file:loaded events are emitted.
+ *
+ * @param {Array} paths
+ * @param {Function} callback - optional
+ * @api public
+ */
+
+Runner.prototype.runFiles = function (paths, callback) {
+    var that = this;
+    var options = this._start(callback);
+    if (!options) {
+        return;
+    }
+    if (options.isolate || options.jobs) {
+        this._event('run:start', {paths: paths, seed: options.seed});
+        return isolate.runFiles(paths, options, function (err, results) {
+            that._end(err, results, callback);
+        });
+    }
+    exports.loadFiles(paths, options, function (err, modules) {
+        if (err) {
+            return that._finish(err, null, callback);
+        }
+        that._event('run:start', {paths: paths, seed: options.seed});
+        modules.forEach(function (m) {
+            that._event('file:loaded', {module: m.name, file: m.file});
+        });
+        that._runAll(modules, options, callback);
+    });
+};
+
+
+/**
+ * Runs an object of already loaded modules, keyed by name, like
+ * nodeunit.runModules.
+ *
+ * @param {Object} modules
+ * @param {Function} callback - optional
+ * @api public
+ */
+
+Runner.prototype.runModules = function (modules, callback) {
+    var options = this._start(callback);
+    if (!options) {
+        return;
+    }
+    core.startRun(options);
+    var names = Object.keys(modules);
+    if (options.seed !== undefined) {
+        names = core.shuffle(names, options.seed, '');
+    }
+    if (options.only === undefined) {
+        options.only = names.some(function (name) {
+            return core.hasOnly(modules[name]);
+        });
+    }
+    this._event('run:start', {modules: names, seed: options.seed});
+    this._runAll(names.map(function (name) {
+        return {name: name, mod: modules[name]};
+    }), options, callback);
+};
+
+
+/**
+ * Removes all the listeners of a runner, after which it can not be run
+ * again.
+ *
+ * @api public
+ */
+
+Runner.prototype.dispose = function () {
+    this.disposed = true;
+    this.removeAllListeners();
+};
+
+
+/**
+ * Starts a run, returning the options object it owns: a copy of the runner's
+ * options whose callbacks also emit the runner's events. Returns nothing if
+ * the runner can not run.
+ *
+ * @param {Function} callback
+ * @api private
+ */
+
+Runner.prototype._start = function (callback) {
+    var that = this, err;
+    if (this.disposed) {
+        err = new Error('Runner has been disposed');
+    }
+    else if (this.running) {
+        err = new Error('Runner is already running');
+    }
+    if (err) {
+        if (callback) {
+            return callback(err);
+        }
+        throw err;
+    }
+    this.running = true;
+    this.results = null;
+
+    var options = {};
+    for (var k in this.options) {
+        if (this.options.hasOwnProperty(k)) {
+            options[k] = this.options[k];
+        }
+    }
+    callbackEvents.forEach(function (name) {
+        var fn = that.options[name];
+        options[name] = function () {
+            if (fn) {
+                fn.apply(null, arguments);
+            }
+            var args = Array.prototype.slice.call(arguments);
+            that.emit.apply(that, [name].concat(args));
+            if (structuredEvents[name]) {
+                structuredEvents[name].apply(null, [that].concat(args));
+            }
+        };
+    });
+    var moduleDone = options.moduleDone;
+    options.moduleDone = function (name, assertions) {
+        moduleDone(name, assertions);
+        that.emit('complete', name, assertions);
+    };
+    return options;
+};
+
+
+/**
+ * Runs the loaded modules in series and finishes the run.
+ *
+ * @param {Array} modules - {name: ..., mod: ...} objects
+ * @param {Object} options
+ * @param {Function} callback
+ * @api private
+ */
+
+Runner.prototype._runAll = function (modules, options, callback) {
+    var that = this;
+    var start = new Date().getTime();
+    var stopCatching = exports.catchUncaught();
+    async.concatSeries(modules, function (m, cb) {
+        // the module the events of the run belong to
+        that._module = m.name;
+        var leave = exports.enterModule(options, m);
+        core.runModule(
+            m.name, m.mod, exports.moduleOptions(options, m),
+            function (err, a_list) {
+                leave();
+                cb(err, a_list);
+            }
+        );
+    },
+    function (err, a_list) {
+        var end = new Date().getTime();
+        var results = err ? null : core.runResult(a_list, end - start, options);
+        stopCatching();
+        that._end(err, results, callback);
+    });
+};
+
+
+/**
+ * Emits the run:end event of a run which did not fail, and finishes it.
+ *
+ * @param {Error} err
+ * @param {Array} results
+ * @param {Function} callback
+ * @api private
+ */
+
+Runner.prototype._end = function (err, results, callback) {
+    this._module = null;
+    if (results) {
+        this._event('run:end', {
+            assertions: results,
+            duration: results.duration,
+            aborted: !!results.aborted
+        });
+    }
+    this._finish(err, results, callback);
+};
+
+
+/**
+ * Emits a structured event, see Runner, as its type and as 'event'.
+ *
+ * @param {String} type
+ * @param {Object} payload
+ * @api private
+ */
+
+Runner.prototype._event = function (type, payload) {
+    payload.type = type;
+    payload.time = new Date().getTime();
+    this.emit(type, payload);
+    this.emit('event', payload);
+};
+
+
+/**
+ * Returns the start of the payload of an event about a test, group or hook,
+ * from its name array.
+ *
+ * @param {Array} name
+ * @api private
+ */
+
+Runner.prototype._testPayload = function (name) {
+    return {
+        module: this._module,
+        path: name ? name.slice() : [],
+        name: name ? name.join(' - ') : ''
+    };
+};
+
+
+/**
+ * Records the results of a run and reports them to the done option, the
+ * 'done' event and the callback.
+ *
+ * @param {Error} err
+ * @param {Array} results
+ * @param {Function} callback
+ * @api private
+ */
+
+Runner.prototype._finish = function (err, results, callback) {
+    this.running = false;
+    this.results = results;
+    if (err) {
+        if (callback) {
+            return callback(err);
+        }
+        return this.emit('error', err);
+    }
+    if (this.options.done) {
+        this.options.done(results);
+    }
+    this.emit('done', results);
+    if (callback) {
+        callback(null, results);
+    }
+};
+
+
+/**
+ * Creates a new Runner with its own options, events and results.
+ *
+ *     var runner = nodeunit.createRunner({timeout: 2000});
+ *     runner.on('testDone', function (name, assertions) { ... });
+ *     runner.runFiles(['test'], function (err, assertions) { ... });
+ *
+ * @param {Object} options
+ * @api public
+ */
+
+exports.createRunner = function (options) {
+    return new Runner(options);
+};
@@ -0,0 +1,81 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Notes the parts of the process state which tests tend to change and forget
+ * to change back: process.env, the working directory and process.exitCode.
+ * Calling restore() on the result puts back those which changed since, and
+ * returns what changed, e.g. ['process.env.PORT', 'process.cwd()'].
+ *
+ * @api public
+ */
+
+exports.save = function () {
+    var env = {};
+    for (var k in process.env) {
+        env[k] = process.env[k];
+    }
+    var cwd = process.cwd();
+    var exitCode = process.exitCode;
+
+    return {
+        restore: function () {
+            var changed = [];
+            Object.keys(process.env).forEach(function (k) {
+                if (!env.hasOwnProperty(k)) {
+                    changed.push('process.env.' + k);
+                    delete process.env[k];
+                }
+            });
+            for (var k in env) {
+                if (process.env[k] !== env[k]) {
+                    changed.push('process.env.' + k);
+                    process.env[k] = env[k];
+                }
+            }
+            if (process.cwd() !== cwd) {
+                changed.push('process.cwd()');
+                try {
+                    process.chdir(cwd);
+                }
+                catch (e) {
+                    // removed since, nothing to go back to
+                }
+            }
+            if (process.exitCode !== exitCode) {
+                changed.push('process.exitCode');
+                process.exitCode = exitCode;
+            }
+            return changed;
+        }
+    };
+};
+
+/**
+ * Creates the error describing what a test or module changed.
+ *
+ * @param {String} name - e.g. 'Test group - test' or 'Module mod'
+ * @param {Array} changed - as returned by restore
+ * @api public
+ */
+
+exports.error = function (name, changed) {
+    var err = new Error(name + ' changed ' + changed.join(', '));
+    err.changed = changed;
+    return err;
+};
+
+/**
+ * Reports a change of the process state as a process warning, which node
+ * prints to stderr.
+ *
+ * @param {Error} err - see error
+ * @api public
+ */
+
+exports.warn = function (err) {
+    process.emitWarning(err.message, 'StateWarning');
+};
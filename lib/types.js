@@ -21,6 +21,10 @@ var assert = require('./assert'),     //@REMOVE_LINE_FOR_BROWSER
  * Creates assertion objects representing the result of an assert call.
  * Accepts an object or AssertionError as its argument.
  *
+ * An assertion with a status is not the result of an assert call. A 'skipped'
+ * or 'todo' status records that the test it belongs to did not run, a 'flaky'
+ * status that it only passed after being retried.
+ *
  * @param {object} obj
  * @api public
  */
@@ -30,6 +34,7 @@ exports.assertion = function (obj) {
         method: obj.method || '',
         message: obj.message || (obj.error && obj.error.message) || '',
         error: obj.error,
+        status: obj.status,
         passed: function () {
             return !this.error;
         },
@@ -39,16 +44,90 @@ exports.assertion = function (obj) {
     };
 };
 
+/**
+ * Tells whether an error is a failed assertion rather than an error: an
+ * AssertionError of nodeunit, of node's assert module, named
+ * 'AssertionError [ERR_ASSERTION]' before node 12, or of another library.
+ *
+ * @param {Error} err
+ * @api public
+ */
+
+exports.isAssertionError = function (err) {
+    return err instanceof assert.AssertionError ||
+        err.code === 'ERR_ASSERTION' || err.name === 'AssertionError';
+};
+
+/**
+ * Creates the result of a single test from its name and the assertionList
+ * passed to testDone. Its status is one of:
+ *
+ *   - 'passed' - every assertion passed (flaky is true if only after a retry)
+ *   - 'failed' - an assertion failed
+ *   - 'errored' - the test threw, or finished with, an error which is not
+ *     an AssertionError, or an uncaught error was thrown while it ran
+ *   - 'timedout' - the test, or one of its hooks, timed out
+ *   - 'skipped' or 'todo' - the test did not run, reason says why
+ *
+ * @param {Array} name - the names of its groups and its own name
+ * @param {Array} assertions
+ * @param {Object} options - the options the test was run with
+ * @param {String} output - what the test wrote to stdout and stderr
+ * @api public
+ */
+
+exports.testResult = function (name, assertions, options, output) {
+    var status = 'passed', reason = '', error = null, flaky = false;
+    for (var i = 0; i < assertions.length; i += 1) {
+        var a = assertions[i];
+        if (a.failed()) {
+            error = error || a.error;
+            if (a.error.timeout) {
+                status = 'timedout';
+            }
+            else if (status !== 'timedout' && (a.error.uncaught ||
+                     !exports.isAssertionError(a.error))) {
+                status = 'errored';
+            }
+            else if (status === 'passed') {
+                status = 'failed';
+            }
+        }
+        else if (a.status === 'flaky') {
+            flaky = true;
+        }
+        else if (a.status && !error) {
+            status = a.status;
+            reason = a.message;
+        }
+    }
+    return {
+        name: String(name),
+        path: typeof name === 'string' ? [name] : name.slice(),
+        module: options.moduleName,
+        file: options.moduleFile,
+        status: status,
+        reason: reason,
+        flaky: flaky && status === 'passed',
+        duration: assertions.duration || 0,
+        assertions: assertions,
+        error: error,
+        output: output || ''
+    };
+};
+
 /**
  * Creates an assertion list object representing a group of assertions.
- * Accepts an array of assertion objects.
+ * Accepts an array of assertion objects, and the results of the tests they
+ * belong to (see testResult).
  *
  * @param {Array} arr
  * @param {Number} duration
+ * @param {Array} tests
  * @api public
  */
 
-exports.assertionList = function (arr, duration) {
+exports.assertionList = function (arr, duration, tests) {
     var that = arr || [];
     that.failures = function () {
         var failures = 0;
@@ -60,9 +139,53 @@ exports.assertionList = function (arr, duration) {
         return failures;
     };
     that.passes = function () {
-        return that.length - that.failures();
+        var passes = 0;
+        for (var i = 0; i < this.length; i += 1) {
+            if (this[i].passed() && !this[i].status) {
+                passes += 1;
+            }
+        }
+        return passes;
+    };
+    var countStatus = function (status) {
+        var count = 0;
+        for (var i = 0; i < that.length; i += 1) {
+            if (that[i].status === status) {
+                count += 1;
+            }
+        }
+        return count;
+    };
+    that.skipped = function () {
+        return countStatus('skipped');
+    };
+    that.todo = function () {
+        return countStatus('todo');
+    };
+    that.flaky = function () {
+        return countStatus('flaky');
+    };
+    that.summary = function () {
+        var counts = {
+            tests: this.tests.length,
+            passed: 0,
+            failed: 0,
+            errored: 0,
+            timedout: 0,
+            skipped: 0,
+            todo: 0,
+            flaky: 0
+        };
+        for (var i = 0; i < this.tests.length; i += 1) {
+            counts[this.tests[i].status] += 1;
+            if (this.tests[i].flaky) {
+                counts.flaky += 1;
+            }
+        }
+        return counts;
     };
     that.duration = duration || 0;
+    that.tests = tests || that.tests || [];
     return that;
 };
 
@@ -103,30 +226,72 @@ var assertWrapper = function (callback) {
  */
 
 exports.test = function (name, start, options, callback) {
-    var expecting;
+    var expecting, finished = false, reported = false;
     var a_list = [];
 
-    var wrapAssert = assertWrapper(function (a) {
+    var record = function (a) {
         a_list.push(a);
         if (options.log) {
             async.nextTick(function () {
-                options.log(a);
+                options.log(a, name);
             });
         }
+    };
+
+    // reports a misuse of the test object, once it is finished. After its
+    // results are reported, options._misuse can attribute it to another
+    // test, otherwise it is thrown at the caller
+    var misuse = function (message) {
+        // a test which timed out or was skipped is finished, whatever it
+        // does later
+        if (test._aborted) {
+            return;
+        }
+        var err = new Error(
+            reported ? message + ' by test "' + name + '"' : message
+        );
+        if (!reported) {
+            return record(exports.assertion({error: err}));
+        }
+        if (!options._misuse || !options._misuse(err)) {
+            throw err;
+        }
+    };
+
+    var wrapAssert = assertWrapper(function (a) {
+        if (finished || test._finishing) {
+            return misuse(
+                'Assertion ' + (a.method ? '(' + a.method + ') ' : '') +
+                'made after test.done()'
+            );
+        }
+        record(a);
     });
 
     var test = {
         done: function (err) {
-            if (expecting !== undefined && expecting !== a_list.length) {
+            if (finished) {
+                return test._doneAgain();
+            }
+            finished = true;
+            var ran = 0, skipped = false;
+            for (var i = 0; i < a_list.length; i += 1) {
+                if (a_list[i].status) {
+                    skipped = true;
+                }
+                else {
+                    ran += 1;
+                }
+            }
+            if (expecting !== undefined && !skipped && expecting !== ran) {
                 var e = new Error(
-                    'Expected ' + expecting + ' assertions, ' +
-                    a_list.length + ' ran'
+                    'Expected ' + expecting + ' assertions, ' + ran + ' ran'
                 );
                 var a1 = exports.assertion({method: 'expect', error: e});
                 a_list.push(a1);
                 if (options.log) {
                     async.nextTick(function () {
-                        options.log(a1);
+                        options.log(a1, name);
                     });
                 }
             }
@@ -135,12 +300,13 @@ exports.test = function (name, start, options, callback) {
                 a_list.push(a2);
                 if (options.log) {
                     async.nextTick(function () {
-                        options.log(a2);
+                        options.log(a2, name);
                     });
                 }
             }
             var end = new Date().getTime();
             async.nextTick(function () {
+                reported = true;
                 var assertion_list = exports.assertionList(a_list, end - start);
                 options.testDone(name, assertion_list);
                 callback(null, a_list);
@@ -152,7 +318,14 @@ exports.test = function (name, start, options, callback) {
         expect: function (num) {
             expecting = num;
         },
-        _assertion_list: a_list
+        _assertion_list: a_list,
+        // records an error against the test while it is running
+        _record: function (err) {
+            record(exports.assertion({error: err}));
+        },
+        _doneAgain: function () {
+            misuse('test.done() was called more than once');
+        }
     };
     // add all functions from the assert module
     for (var k in assert) {
@@ -11,7 +11,7 @@
 var async = require('../deps/async'),
     fs = require('fs'),
     util = require('util'),
-    Script = require('vm').Script,
+    vm = require('vm'),
     http = require('http'),
     path = require('path');
 
@@ -49,7 +49,8 @@ extensionPattern = new RegExp('\\.(?:' + extensions.join('|') + ')$');
  * the directory and does not recurse through sub-directories.
  *
  * The extension (.js, .coffee etc) is stripped from the filenames so they can
- * simply be require()'ed.
+ * simply be require()'ed. Such a path, without its extension, is accepted
+ * again as the path of a single module.
  *
  * @param {Array} paths
  * @param {Function} callback
@@ -61,7 +62,13 @@ exports.modulePaths = function modulePaths(paths, callback, recursive) {
     async.concatSeries(paths, function (p, cb) {
         fs.stat(p, function (err, stats) {
             if (err) {
-                return cb(err);
+                try {
+                    require.resolve(path.resolve(p));
+                }
+                catch (e) {
+                    return cb(err);
+                }
+                return cb(null, [p]);
             }
             if (stats.isFile()) {
                 return cb(null, [p]);
@@ -119,32 +126,524 @@ exports.modulePaths = function modulePaths(paths, callback, recursive) {
     }, callback);
 };
 
+/**
+ * Names of the command-line / config options which change which tests are run
+ * and how, as opposed to how their results are reported.
+ *
+ * @api public
+ */
+
+exports.runnerOptionNames = [
+    'testspec',
+    'testFullSpec',
+    'recursive',
+    'concurrency',
+    'timeout',
+    'retries',
+    'random',
+    'seed',
+    'grep',
+    'exclude',
+    'bail',
+    'isolate',
+    'jobs',
+    'freshModules',
+    'sharedModules',
+    'registry',
+    'shard',
+    'shardTimings',
+    'detectLeaks',
+    'checkLeaks',
+    'globals',
+    'restoreState'
+];
+
+/**
+ * Copies the runner options (see runnerOptionNames) from the command-line /
+ * config options onto the options object a reporter passes to runFiles.
+ * Options the reporter has set itself are left untouched.
+ *
+ * @param {Object} options
+ * @param {Object} opts
+ * @return {Object}
+ * @api public
+ */
+
+exports.runnerOptions = function (options, opts) {
+    options = options || {};
+    exports.runnerOptionNames.forEach(function (k) {
+        if (!opts.hasOwnProperty(k) && options[k] !== undefined) {
+            opts[k] = options[k];
+        }
+    });
+    return opts;
+};
+
+/**
+ * Describes why a test did not run, e.g. "skipped: too slow", or returns
+ * undefined if it did. Accepts the assertions passed to testDone.
+ *
+ * @param {Array} assertions
+ * @return {String}
+ * @api public
+ */
+
+exports.testStatus = function (assertions) {
+    return describeStatus(assertions, function (status) {
+        return status !== 'flaky';
+    });
+};
+
+/**
+ * Describes how a test which only passed after being retried got there, e.g.
+ * "flaky: passed on attempt 2 of 3", or returns undefined if it was not
+ * flaky. Accepts the assertions passed to testDone.
+ *
+ * @param {Array} assertions
+ * @return {String}
+ * @api public
+ */
+
+exports.flakyStatus = function (assertions) {
+    return describeStatus(assertions, function (status) {
+        return status === 'flaky';
+    });
+};
+
+var describeStatus = function (assertions, filter) {
+    for (var i = 0; i < assertions.length; i += 1) {
+        var a = assertions[i];
+        if (a.status && filter(a.status)) {
+            return a.status + (a.message ? ': ' + a.message : '');
+        }
+    }
+};
+
+/**
+ * Describes the skipped, todo and flaky tests of a run for the end of a
+ * summary line, e.g. ", 2 skipped, 1 todo". Returns an empty string if every
+ * test ran at the first attempt.
+ *
+ * @param {Array} assertions
+ * @return {String}
+ * @api public
+ */
+
+exports.statusSummary = function (assertions) {
+    var str = '';
+    if (assertions.skipped()) {
+        str += ', ' + assertions.skipped() + ' skipped';
+    }
+    if (assertions.todo()) {
+        str += ', ' + assertions.todo() + ' todo';
+    }
+    if (assertions.flaky()) {
+        str += ', ' + assertions.flaky() + ' flaky';
+    }
+    return str;
+};
+
+/**
+ * Counts the tests of a module or run for a summary line, e.g. ", 12 tests"
+ * or ", 2/12 tests failed (1 errored, 1 timed out)". Returns an empty string
+ * for assertions without test results.
+ *
+ * @param {Array} assertions
+ * @return {String}
+ * @api public
+ */
+
+exports.testSummary = function (assertions) {
+    if (!assertions.tests) {
+        return '';
+    }
+    var counts = assertions.summary();
+    var failed = counts.failed + counts.errored + counts.timedout;
+    if (!failed) {
+        return ', ' + counts.tests + ' tests';
+    }
+    var kinds = [];
+    if (counts.errored) {
+        kinds.push(counts.errored + ' errored');
+    }
+    if (counts.timedout) {
+        kinds.push(counts.timedout + ' timed out');
+    }
+    return ', ' + failed + '/' + counts.tests + ' tests failed' +
+        (kinds.length ? ' (' + kinds.join(', ') + ')' : '');
+};
+
+/**
+ * Describes how a failing test failed, if not with a failed assertion:
+ * "errored" or "timed out". Returns undefined otherwise. Accepts the
+ * assertions passed to testDone.
+ *
+ * @param {Array} assertions
+ * @return {String}
+ * @api public
+ */
+
+exports.failureStatus = function (assertions) {
+    var test = assertions.test;
+    if (test && test.status === 'errored') {
+        return 'errored';
+    }
+    if (test && test.status === 'timedout') {
+        return 'timed out';
+    }
+};
+
+/**
+ * Says that a run was stopped early by the bail option, or returns an empty
+ * string if it ran to the end. Accepts the assertions passed to done.
+ *
+ * @param {Array} assertions
+ * @return {String}
+ * @api public
+ */
+
+exports.bailSummary = function (assertions) {
+    if (!assertions.aborted) {
+        return '';
+    }
+    return 'Run aborted by --bail, the remaining tests were not run';
+};
+
+/**
+ * Describes the seed of a run in random order, so that the order can be
+ * replayed, or returns an empty string if the tests ran in order.
+ *
+ * @param {Object} options
+ * @return {String}
+ * @api public
+ */
+
+exports.seedSummary = function (options) {
+    if (!options || options.seed === undefined) {
+        return '';
+    }
+    return 'Randomized with seed ' + options.seed +
+        ', rerun this order with --seed ' + options.seed;
+};
+
+/**
+ * Parses a shard given as "i/n", the ith of n slices of the test files of a
+ * run, counting from 1. Throws an error if it is not one.
+ *
+ * @param {String} str
+ * @return {Object} {index: ..., total: ...}
+ * @api public
+ */
+
+exports.parseShard = function (str) {
+    var m = /^(\d+)\/(\d+)$/.exec(String(str));
+    var index = m && parseInt(m[1], 10), total = m && parseInt(m[2], 10);
+    if (!m || index < 1 || index > total) {
+        throw new Error(
+            'Invalid shard "' + str + '", expected i/n with 1 <= i <= n'
+        );
+    }
+    return {index: index, total: total};
+};
+
+/**
+ * Returns the key a test file has in the shardTimings option: its path
+ * relative to the current directory, so that it is the same on every
+ * machine.
+ *
+ * @param {String} file
+ * @return {String}
+ * @api private
+ */
+
+var timingKey = function (file) {
+    return path.relative(process.cwd(), path.resolve(file))
+        .split(path.sep).join('/');
+};
+
+/**
+ * Returns the test files, as found by modulePaths, which belong to a shard
+ * (see parseShard), keeping their order. Every machine given the same files
+ * and timings picks the same disjoint slices.
+ *
+ * The files are dealt out one at a time, the slowest first, to the slice
+ * with the least time so far. Their times come from timings, by the path
+ * relative to the current directory (see fileDurations); files without one
+ * count as the average time, and without any timings every file counts the
+ * same, so that the slices get as many files as each other. Every file
+ * counts as at least 1ms.
+ *
+ * @param {Array} files
+ * @param {String} shard
+ * @param {Object} timings - optional
+ * @return {Array}
+ * @api public
+ */
+
+exports.shardFiles = function (files, shard, timings) {
+    shard = exports.parseShard(shard);
+    timings = timings || {};
+    var known = files.filter(function (file) {
+        return typeof timings[timingKey(file)] === 'number';
+    });
+    var average = known.reduce(function (sum, file) {
+        return sum + timings[timingKey(file)];
+    }, 0) / known.length || 1;
+    var weight = function (file) {
+        var time = timings[timingKey(file)];
+        // a file which took no time still counts, or all such files would
+        // end up in the same slice
+        return Math.max(typeof time === 'number' ? time : average, 1);
+    };
+
+    var sorted = files.slice().sort(function (a, b) {
+        return (weight(b) - weight(a)) ||
+            (timingKey(a) < timingKey(b) ? -1 : 1);
+    });
+    var loads = [], slices = {};
+    for (var i = 0; i < shard.total; i += 1) {
+        loads.push(0);
+    }
+    sorted.forEach(function (file) {
+        var lightest = 0;
+        for (var i = 1; i < loads.length; i += 1) {
+            if (loads[i] < loads[lightest]) {
+                lightest = i;
+            }
+        }
+        loads[lightest] += weight(file);
+        slices[file] = lightest + 1;
+    });
+    return files.filter(function (file) {
+        return slices[file] === shard.index;
+    });
+};
+
+/**
+ * Adds up how long the tests of each file took, for the shardTimings
+ * option, see shardFiles.
+ *
+ * @param {Array} tests - the test results of a run, see types.testResult
+ * @return {Object}
+ * @api public
+ */
+
+exports.fileDurations = function (tests) {
+    var durations = {};
+    tests.forEach(function (test) {
+        if (test.file) {
+            var key = timingKey(test.file);
+            durations[key] = (durations[key] || 0) + test.duration;
+        }
+    });
+    return durations;
+};
+
+/**
+ * Lists the tests of a run which failed, errored or timed out, as
+ * {file, name} objects holding the file their module was loaded from and
+ * their full name, "module - group - test". Tests of modules which were not
+ * loaded from a file are left out.
+ *
+ * @param {Array} tests - the test results of a run, see types.testResult
+ * @return {Array}
+ * @api public
+ */
+
+exports.failedTests = function (tests) {
+    return tests.filter(function (test) {
+        return test.file && (test.status === 'failed' ||
+            test.status === 'errored' || test.status === 'timedout');
+    }).map(function (test) {
+        return {
+            file: path.resolve(test.file),
+            name: [test.module].concat(test.path).join(' - ')
+        };
+    });
+};
+
+/**
+ * The names of the results which report the errors of a module or group
+ * rather than of a test, see core.runModule, core.runSuite and
+ * isolate.runFiles. No pattern selects them, as they are only reported.
+ */
+
+var reportNames = [
+    'tearDownOnce',
+    'uncaught error',
+    'leaked handles',
+    'leaked globals',
+    'changed process state',
+    'worker exited'
+];
+
+/**
+ * Tells whether a test file can still be loaded, with or without its
+ * extension.
+ *
+ * @param {String} file
+ * @api private
+ */
+
+var canLoad = function (file) {
+    try {
+        require.resolve(file);
+        return true;
+    }
+    catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Returns the paths and grep patterns which run the tests listed by
+ * failedTests again: the files they are in, and for each test a pattern
+ * matching its full name, or the tests of a group by that name. The errors
+ * reported for a module or group, such as an uncaught error or a failing
+ * tearDownOnce, run the whole module or group again. Files which can no
+ * longer be loaded are left out.
+ *
+ * @param {Array} failed
+ * @return {Object} {paths: ..., grep: ...}
+ * @api public
+ */
+
+exports.failedRun = function (failed) {
+    var paths = [], grep = [];
+    failed.forEach(function (test) {
+        if (!canLoad(test.file)) {
+            return;
+        }
+        if (paths.indexOf(test.file) === -1) {
+            paths.push(test.file);
+        }
+        var name = test.name.split(' - ');
+        if (name.length > 1 &&
+            reportNames.indexOf(name[name.length - 1]) !== -1) {
+            name.pop();
+        }
+        var pattern = '/^' +
+            name.join(' - ').replace(/[\-\[\]\/{}()*+?.\\^$|]/g, '\\$&') +
+            '( - |$)/';
+        if (grep.indexOf(pattern) === -1) {
+            grep.push(pattern);
+        }
+    });
+    return {paths: paths, grep: grep};
+};
+
+/**
+ * The node globals a sandbox gets with the globals option set to true.
+ */
+
+var sandboxGlobals = [
+    'console',
+    'setTimeout',
+    'clearTimeout',
+    'setInterval',
+    'clearInterval',
+    'setImmediate',
+    'clearImmediate',
+    'Buffer'
+];
+
+/**
+ * Returns a require function which resolves paths from file, as the one of a
+ * module loaded from file would.
+ *
+ * @param {String} file
+ * @api private
+ */
+
+var requireFrom = function (file) {
+    var Module = require('module');
+    if (Module.createRequire) {
+        return Module.createRequire(file);
+    }
+    var m = new Module(file, null);
+    m.filename = file;
+    m.paths = Module._nodeModulePaths(path.dirname(file));
+    var req = function (id) {
+        return m.require(id);
+    };
+    req.resolve = function (id) {
+        return Module._resolveFilename(id, m);
+    };
+    return req;
+};
+
 /**
  * Evaluates JavaScript files in a sandbox, returning the context. The first
  * argument can either be a single filename or an array of filenames. If
- * multiple filenames are given their contents are concatenated before
- * evalution. The second argument is an optional context to use for the sandbox.
+ * multiple filenames are given they are evaluated in turn in the same context,
+ * so that each sees the globals of those before it. The second argument is an
+ * optional context to use for the sandbox.
+ *
+ * The third argument holds options:
+ *
+ * - require: give the sandbox a require function, which resolves paths from
+ *   the first file and shares the modules already loaded outside it
+ * - stubs: an object of the values require returns in place of loading the
+ *   module, by the name passed to require; implies require
+ * - globals: true to give the sandbox console, the timer functions and
+ *   Buffer, or an array of the names of the globals to give it
+ * - timeout: how many milliseconds each file may take to run, after which
+ *   an error is thrown. This does not bound the callbacks it schedules
+ *
+ * Errors thrown by the files, syntax errors included, point at the original
+ * file names and line numbers.
  *
  * @param files
  * @param {Object} sandbox
+ * @param {Object} options
  * @return {Object}
  * @api public
  */
 
-exports.sandbox = function (files, /*optional*/sandbox) {
-    var source, script, result;
+exports.sandbox = function (files, /*optional*/sandbox, /*optional*/options) {
     if (!(files instanceof Array)) {
         files = [files];
     }
-    source = files.map(function (file) {
-        return fs.readFileSync(file, 'utf8');
-    }).join('');
-
     if (!sandbox) {
         sandbox = {};
     }
-    script = new Script(source);
-    result = script.runInNewContext(sandbox);
+    options = options || {};
+
+    var globals = options.globals === true ? sandboxGlobals :
+        (options.globals || []);
+    globals.forEach(function (name) {
+        if (!sandbox.hasOwnProperty(name)) {
+            sandbox[name] = global[name];
+        }
+    });
+    if ((options.require || options.stubs) && files.length) {
+        var stubs = options.stubs || {};
+        var req = requireFrom(path.resolve(files[0]));
+        sandbox.require = function (id) {
+            return stubs.hasOwnProperty(id) ? stubs[id] : req(id);
+        };
+        sandbox.require.resolve = req.resolve;
+    }
+
+    var context = vm.createContext(sandbox);
+    files.forEach(function (file) {
+        var script = new vm.Script(fs.readFileSync(file, 'utf8'), {
+            filename: file
+        });
+        try {
+            script.runInContext(context, {timeout: options.timeout});
+        }
+        catch (e) {
+            // node 10 does not set the code
+            if (e && (e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ||
+                    /Script execution timed out/.test(e.message))) {
+                var err = new Error(e.message + ' running ' + file);
+                err.code = 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+                throw err;
+            }
+            throw e;
+        }
+    });
     return sandbox;
 };
 
@@ -0,0 +1,216 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies
+ */
+
+var utils = require('./utils'),
+    child_process = require('child_process'),
+    fs = require('fs'),
+    path = require('path');
+
+
+/**
+ * The command-line runner each run of the watch mode is started with.
+ */
+
+var bin = path.resolve(__dirname, '../bin/nodeunit');
+
+
+/**
+ * Returns the absolute path of the file a test module found by
+ * utils.modulePaths is loaded from, which is how the watch mode keeps track
+ * of test files.
+ *
+ * @param {String} file
+ * @api private
+ */
+
+var resolve = function (file) {
+    file = path.resolve(file);
+    try {
+        return require.resolve(file);
+    }
+    catch (e) {
+        return file;
+    }
+};
+
+
+/**
+ * Runs the tests at paths, then watches the test files and the modules they
+ * require for changes. On a change, only the test files which loaded the
+ * changed file, directly or not, are run again, along with any new test
+ * file, followed by a short summary.
+ *
+ * Each run is a bin/nodeunit process of its own, started with args followed
+ * by the test files, so that every run loads its modules afresh and a test
+ * file which can not be loaded does not stop the watching. With the
+ * NODEUNIT_WATCH environment variable set, bin/nodeunit loads each test file
+ * with a require cache of its own, see registry.create, and sends back the
+ * modules each one loaded. When a run does not get that far, the test files
+ * keep the dependencies of their last run.
+ *
+ * @param {Array} paths
+ * @param {Array} args - the command-line options, without --watch and paths
+ * @param {Object} options
+ * @api public
+ */
+
+exports.watch = function (paths, args, options) {
+    // the files each test file loaded, by the resolved test file
+    var dependencies = {};
+    var watchers = [], changed = {};
+    var running = false, timer = null, warned = false;
+
+    var run = function (files) {
+        running = true;
+        var env = {};
+        for (var k in process.env) {
+            env[k] = process.env[k];
+        }
+        env.NODEUNIT_WATCH = '1';
+        var child = child_process.fork(bin, args.concat(files), {env: env});
+        child.on('message', function (msg) {
+            var deps = msg.dependencies || {};
+            Object.keys(deps).forEach(function (file) {
+                dependencies[resolve(file)] = deps[file];
+            });
+        });
+        child.on('exit', function (code, signal) {
+            watch();
+            console.log(
+                '\n' + files.length + ' test file' +
+                (files.length === 1 ? '' : 's') + ' ' +
+                (signal ? 'killed by ' + signal :
+                    (code ? 'failed' : 'passed')) +
+                ', watching ' + watchers.length + ' files for changes'
+            );
+            idle();
+        });
+    };
+
+    // picks up the changes made while busy
+    var idle = function () {
+        running = false;
+        if (Object.keys(changed).length) {
+            rerun();
+        }
+    };
+
+    // watches the paths for new test files, and the files each test file
+    // loaded; watching again after each run also follows files which were
+    // replaced rather than changed, as many editors save them
+    var watch = function () {
+        watchers.forEach(function (watcher) {
+            watcher.close();
+        });
+        var files = {};
+        paths.forEach(function (p) {
+            files[path.resolve(p)] = true;
+        });
+        Object.keys(dependencies).forEach(function (test) {
+            files[test] = true;
+            dependencies[test].forEach(function (file) {
+                files[file] = true;
+            });
+        });
+        watchers = [];
+        Object.keys(files).forEach(function (file) {
+            var watcher, dir;
+            var listener = function (event, filename) {
+                change(dir && filename ? path.join(file, filename) : file);
+            };
+            try {
+                dir = fs.statSync(file).isDirectory();
+                watcher = watchFile(file, dir && options.recursive, listener);
+            }
+            catch (e) {
+                // removed since it was loaded, or can not be watched
+                return;
+            }
+            watcher.on('error', function () {});
+            watchers.push(watcher);
+        });
+    };
+
+    // watches a directory recursively where node can, which on linux is
+    // only since node 20, and otherwise only its own entries
+    var watchFile = function (file, recursive, listener) {
+        if (recursive) {
+            try {
+                return fs.watch(file, {recursive: true}, listener);
+            }
+            catch (e) {
+                if (!warned) {
+                    warned = true;
+                    console.log(
+                        'This version of node can not watch directories ' +
+                        'recursively here, so new test files in their ' +
+                        'sub-directories are not picked up'
+                    );
+                }
+            }
+        }
+        return fs.watch(file, listener);
+    };
+
+    var change = function (file) {
+        changed[file] = true;
+        if (!running) {
+            clearTimeout(timer);
+            // wait for the other files saved at the same time
+            timer = setTimeout(rerun, 100);
+        }
+    };
+
+    var rerun = function () {
+        var files = Object.keys(changed);
+        changed = {};
+        running = true;
+        utils.modulePaths(paths, function (err, tests) {
+            if (err) {
+                console.log(err.message);
+                watch();
+                return idle();
+            }
+            var affected = tests.map(resolve).filter(function (test) {
+                var deps = dependencies[test] || [test];
+                return !dependencies.hasOwnProperty(test) ||
+                    deps.some(function (file) {
+                        return files.indexOf(file) !== -1;
+                    });
+            });
+            if (!affected.length) {
+                watch();
+                return idle();
+            }
+            affected.forEach(function (test) {
+                dependencies[test] = dependencies[test] || [test];
+            });
+            console.log(
+                '\nChanged: ' + files.map(function (file) {
+                    return path.relative(process.cwd(), file);
+                }).join(', ')
+            );
+            run(affected);
+        }, options.recursive);
+    };
+
+    utils.modulePaths(paths, function (err, tests) {
+        if (err) {
+            throw err;
+        }
+        tests = tests.map(resolve);
+        // test files which have not sent their dependencies yet only
+        // depend on themselves
+        tests.forEach(function (test) {
+            dependencies[test] = [test];
+        });
+        run(tests);
+    }, options.recursive);
+};
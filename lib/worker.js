@@ -0,0 +1,82 @@
+/*!
+ * Nodeunit
+ * Copyright (c) 2010 Caolan McMahon
+ * MIT Licensed
+ */
+
+/**
+ * The child process isolate.runFiles runs each test file in. It waits for
+ * the file and the options to run it with, sends the options callbacks it
+ * gets back to the parent, and exits once the file is done, whatever
+ * handles its tests left open.
+ */
+
+/**
+ * Module dependencies
+ */
+
+var core = require('./core'),
+    runner = require('./runner'),
+    isolate = require('./isolate'),
+    registry = require('./registry'),
+    path = require('path');
+
+
+/**
+ * Runs the module at a path found by utils.modulePaths like runner.loadFiles
+ * and nodeunit.runFiles would, calling back once it is done with the files
+ * of the modules it loaded, if options._dependencies is set, for the
+ * registry of the parent, see isolate.runFiles.
+ *
+ * @param {String} file
+ * @param {Object} options
+ * @param {Function} callback
+ * @api private
+ */
+
+var runFile = function (file, options, callback) {
+    core.startRun(options);
+    var reg = options._dependencies ? registry.create(options) : null;
+    var m = {
+        name: path.basename(file),
+        mod: reg ? reg.require(file) : require(file),
+        file: file
+    };
+    options.only = core.hasOnly(m.mod);
+    var stopCatching = runner.catchUncaught();
+    if (reg) {
+        reg.enter(file);
+    }
+    core.runModule(m.name, m.mod, runner.moduleOptions(options, m), function () {
+        stopCatching();
+        if (!reg) {
+            return callback();
+        }
+        reg.leave();
+        callback(reg.dependencies()[file]);
+    });
+};
+
+
+process.on('message', function (msg) {
+    if (msg.type !== 'run') {
+        return;
+    }
+    var opt = msg.options;
+    isolate.workerEvents.forEach(function (name) {
+        opt[name] = function () {
+            process.send({
+                type: name,
+                args: Array.prototype.slice.call(arguments).map(isolate.encode)
+            });
+        };
+    });
+    runFile(msg.file, opt, function (dependencies) {
+        if (dependencies) {
+            process.send({type: 'dependencies', files: dependencies});
+        }
+        process.send({type: 'done'}, function () {
+            process.exit(0);
+        });
+    });
+});
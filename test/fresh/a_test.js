@@ -0,0 +1,8 @@
+var counter = require('./lib/counter');
+
+exports.count = function (test) {
+    counter.count += 1;
+    test.equal(require('./lib/counter'), counter);
+    test.equal(counter.count, 1);
+    test.done();
+};
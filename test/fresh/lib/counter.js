@@ -0,0 +1 @@
+exports.count = 0;
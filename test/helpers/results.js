@@ -0,0 +1,22 @@
+var nodeunit = require('../../lib/nodeunit');
+
+
+/**
+ * Runs mod as a module named 'mod', calling back with the result of each of
+ * its tests by name, see types.testResult, and the assertionList of the
+ * module. Not at the top of test/, where it would be taken for a test file.
+ *
+ * @param {Object} mod
+ * @param {Object} opt
+ * @param {Function} callback
+ */
+
+exports.runModule = function (mod, opt, callback) {
+    var results = {};
+    opt.testDone = function (name, assertions) {
+        results[name.toString()] = assertions.test;
+    };
+    nodeunit.runModule('mod', mod, opt, function (err, assertions) {
+        callback(results, assertions);
+    });
+};
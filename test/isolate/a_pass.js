@@ -0,0 +1,8 @@
+exports.group = {
+    test1: function (test) {
+        // visible to the other files if they shared this process
+        global.isolateFixture = true;
+        test.ok(true);
+        test.done();
+    }
+};
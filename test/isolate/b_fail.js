@@ -0,0 +1,5 @@
+exports.shared = function (test) {
+    test.ok(!global.isolateFixture, 'runs in a process of its own');
+    test.equal(1, 2);
+    test.done();
+};
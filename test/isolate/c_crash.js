@@ -0,0 +1,7 @@
+exports.before = function (test) {
+    test.done();
+};
+
+exports.crash = function (test) {
+    process.exit(3);
+};
@@ -0,0 +1,9 @@
+var db = require('./db');
+
+exports.find = function () {
+    return db.find();
+};
+
+exports.findLater = function () {
+    return require('./db').find();
+};
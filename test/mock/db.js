@@ -0,0 +1,3 @@
+exports.find = function () {
+    return 'real';
+};
@@ -0,0 +1,11 @@
+var nodeunit = require('../../lib/nodeunit');
+
+var app = nodeunit.mock.require('./app', {
+    './db': {find: function () { return 'stub'; }}
+});
+
+exports.stubbed = function (test) {
+    test.equal(app.find(), 'stub');
+    test.equal(app.findLater(), 'stub');
+    test.done();
+};
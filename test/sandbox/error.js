@@ -0,0 +1,3 @@
+var ok = true;
+
+throw new Error('thrown on line 3');
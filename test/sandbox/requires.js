@@ -0,0 +1,13 @@
+var path = require('path');
+var dep = require('./dep');
+var db = require('db');
+
+function describe() {
+    return path.basename(dep.name) + ' ' + db.name;
+}
+
+function later(callback) {
+    setTimeout(function () {
+        callback(Buffer.from('done').toString());
+    }, 1);
+}
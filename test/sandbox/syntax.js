@@ -0,0 +1,2 @@
+var ok = true;
+var = broken;
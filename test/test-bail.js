@@ -0,0 +1,149 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+var failing = function (call_order, name) {
+    return function (t) {
+        call_order.push(name);
+        t.ok(false, name + ' fails');
+        t.done();
+    };
+};
+
+var passing = function (call_order, name) {
+    return function (t) {
+        call_order.push(name);
+        t.ok(true);
+        t.done();
+    };
+};
+
+
+exports.testBailOnFirstFailure = function (test) {
+    var call_order = [];
+    nodeunit.runModules({
+        module1: {
+            tearDown: function (callback) {
+                call_order.push('tearDown');
+                callback();
+            },
+            test1: passing(call_order, 'test1'),
+            test2: failing(call_order, 'test2'),
+            test3: passing(call_order, 'test3')
+        },
+        module2: {
+            test4: passing(call_order, 'test4')
+        }
+    }, {
+        bail: true,
+        moduleDone: function (name) {
+            call_order.push('moduleDone ' + name);
+        },
+        done: function (assertions) {
+            test.same(call_order, [
+                'test1', 'tearDown',
+                'test2', 'tearDown',
+                'moduleDone module1'
+            ]);
+            test.equal(assertions.length, 2);
+            test.equal(assertions.failures(), 1);
+            test.strictEqual(assertions.aborted, true);
+            test.done();
+        }
+    });
+};
+
+exports.testBailAfterN = function (test) {
+    var call_order = [];
+    nodeunit.runModules({
+        module1: {
+            test1: failing(call_order, 'test1'),
+            group: {
+                test2: failing(call_order, 'test2'),
+                test3: failing(call_order, 'test3')
+            }
+        }
+    }, {
+        bail: 2,
+        done: function (assertions) {
+            test.same(call_order, ['test1', 'test2']);
+            test.equal(assertions.failures(), 2);
+            test.ok(assertions.aborted);
+            test.done();
+        }
+    });
+};
+
+exports.testNoBailWithoutFailures = function (test) {
+    var call_order = [];
+    nodeunit.runModules({
+        module1: {
+            test1: passing(call_order, 'test1'),
+            test2: passing(call_order, 'test2')
+        }
+    }, {
+        bail: 1,
+        done: function (assertions) {
+            test.same(call_order, ['test1', 'test2']);
+            test.ok(!assertions.aborted);
+            test.done();
+        }
+    });
+};
+
+exports.testBailRunsTearDownOnce = function (test) {
+    var call_order = [];
+    nodeunit.runModules({
+        module1: {
+            group: {
+                setUpOnce: function (callback) {
+                    call_order.push('setUpOnce');
+                    callback();
+                },
+                tearDownOnce: function (callback) {
+                    call_order.push('tearDownOnce');
+                    callback();
+                },
+                test1: failing(call_order, 'test1'),
+                test2: passing(call_order, 'test2')
+            },
+            other: {
+                setUpOnce: function (callback) {
+                    call_order.push('other setUpOnce');
+                    callback();
+                },
+                test3: passing(call_order, 'test3')
+            }
+        }
+    }, {
+        bail: true,
+        done: function (assertions) {
+            test.same(call_order, ['setUpOnce', 'test1', 'tearDownOnce']);
+            test.done();
+        }
+    });
+};
+
+exports.testBailWithConcurrency = function (test) {
+    var call_order = [];
+    nodeunit.runModules({
+        module1: {
+            test1: function (t) {
+                setTimeout(function () {
+                    call_order.push('test1');
+                    t.done();
+                }, 20);
+            },
+            test2: failing(call_order, 'test2'),
+            test3: passing(call_order, 'test3')
+        }
+    }, {
+        bail: true,
+        concurrency: 2,
+        done: function (assertions) {
+            // test1 was already running, so it still finishes
+            test.same(call_order, ['test2', 'test1']);
+            test.ok(assertions.aborted);
+            test.done();
+        }
+    });
+};
@@ -38,3 +38,148 @@ exports['runs top + nested suites with recursive flag'] = function (test) {
         test.done();
     });
 };
+
+exports['sends the modules each file loaded to --watch'] = function (test) {
+    var fresh_path = path.resolve(__dirname, './fresh');
+    var child = require('child_process').fork(
+        path.resolve(__dirname, '../bin/nodeunit'), [fresh_path],
+        {env: {NODEUNIT_WATCH: '1', PATH: process.env.PATH}, silent: true}
+    );
+    var deps;
+    child.on('message', function (msg) {
+        deps = msg.dependencies;
+    });
+    child.on('exit', function (code) {
+        test.equal(code, 0);
+        test.same(deps[fresh_path + '/b_test'], [
+            fresh_path + '/b_test.js',
+            fresh_path + '/lib/counter.js'
+        ]);
+        test.done();
+    });
+};
+
+exports['sends the modules each worker loaded to --watch'] = function (test) {
+    var fresh_path = path.resolve(__dirname, './fresh');
+    var child = require('child_process').fork(
+        path.resolve(__dirname, '../bin/nodeunit'), ['--jobs', '2', fresh_path],
+        {env: {NODEUNIT_WATCH: '1', PATH: process.env.PATH}, silent: true}
+    );
+    var deps;
+    child.on('message', function (msg) {
+        deps = msg.dependencies;
+    });
+    child.on('exit', function (code) {
+        test.equal(code, 0);
+        test.same(deps[fresh_path + '/b_test'], [
+            fresh_path + '/b_test.js',
+            fresh_path + '/lib/counter.js'
+        ]);
+        test.done();
+    });
+};
+
+exports['reruns only the test files affected by a change with --watch'] =
+function (test) {
+    var fs = require('fs');
+    var dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'nodeunit-'));
+    var write = function (file, lines) {
+        fs.writeFileSync(path.join(dir, file), lines.join('\n') + '\n');
+    };
+    var testFile = function (lib) {
+        return [
+            'var lib = require("./' + lib + '");',
+            'exports.test = function (test) {',
+            '    test.ok(lib);',
+            '    test.done();',
+            '};'
+        ];
+    };
+    // not at the top of dir, where they would be taken for test files
+    fs.mkdirSync(path.join(dir, 'lib'));
+    write('lib/a.js', ['module.exports = 1;']);
+    write('lib/b.js', ['module.exports = 2;']);
+    write('a_test.js', testFile('lib/a'));
+    write('b_test.js', testFile('lib/b'));
+
+    var child = require('child_process').fork(
+        path.resolve(__dirname, '../bin/nodeunit'), ['--watch', dir],
+        {silent: true}
+    );
+    var output = '', rerun = null;
+    var timer = setTimeout(function () {
+        test.ok(false, 'timed out, with output:\n' + output);
+        child.kill();
+    }, 10000);
+    child.stdout.on('data', function (data) {
+        output += data;
+        if (rerun === null && /2 test files passed/.test(output)) {
+            rerun = output.length;
+            write('lib/a.js', ['module.exports = 3;']);
+        }
+        else if (rerun !== null &&
+                /1 test file passed/.test(output.slice(rerun))) {
+            clearTimeout(timer);
+            var changes = output.slice(rerun);
+            test.ok(/Changed: .*lib\/a\.js/.test(changes));
+            test.ok(/a_test/.test(changes), 'the dependent file is rerun');
+            test.ok(!/b_test/.test(changes), 'the other file is not');
+            child.kill();
+        }
+    });
+    child.on('exit', function () {
+        ['lib/a.js', 'lib/b.js', 'a_test.js', 'b_test.js'].forEach(
+            function (file) {
+                fs.unlinkSync(path.join(dir, file));
+            }
+        );
+        fs.rmdirSync(path.join(dir, 'lib'));
+        fs.rmdirSync(dir);
+        test.done();
+    });
+};
+
+exports['reruns the failed tests which are still there with --failed'] =
+function (test) {
+    var fs = require('fs');
+    var dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'nodeunit-'));
+    var file = path.join(dir, 't_test.js'),
+        state = path.join(dir, '.nodeunit-failed.json');
+    fs.writeFileSync(file, [
+        'exports.test = function (test) {',
+        '    test.ok(true);',
+        '    test.done();',
+        '};'
+    ].join('\n') + '\n');
+    var failed = function (names) {
+        fs.writeFileSync(state, JSON.stringify({failed: names.map(
+            function (name) {
+                return {file: path.join(dir, name.split(' - ')[0]), name: name};
+            }
+        )}));
+    };
+    var cleanUp = function () {
+        fs.unlinkSync(file);
+        fs.unlinkSync(state);
+        fs.rmdirSync(dir);
+    };
+    // the tearDownOnce runs its whole file again, the removed file is left out
+    failed(['t_test.js - tearDownOnce', 'removed_test.js - test']);
+    exec(bin + ' --failed', {cwd: dir}, function (err, stdout, stderr) {
+        if (err) {
+            cleanUp();
+            return test.done(err);
+        }
+        test.ok(/Running the 1 test which failed/.test(stdout));
+        test.ok(/1 assertion/.test(stdout));
+        // renamed since, so nothing is selected
+        failed(['t_test.js - renamed']);
+        exec(bin + ' --failed', {cwd: dir}, function (err, stdout, stderr) {
+            test.equal(err && err.code, 1);
+            test.ok(/None of the tests which failed in the last run/.test(stdout));
+            test.same(JSON.parse(fs.readFileSync(state, 'utf8')).failed, []);
+            cleanUp();
+            test.done();
+        });
+    });
+};
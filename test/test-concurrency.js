@@ -0,0 +1,139 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+exports.testRunsSiblingsInParallel = function (test) {
+    test.expect(2);
+    var call_order = [];
+    var s = {
+        slow: function (t) {
+            call_order.push('slow start');
+            setTimeout(function () {
+                call_order.push('slow end');
+                t.done();
+            }, 20);
+        },
+        fast: function (t) {
+            call_order.push('fast start');
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {concurrency: 2}, function (err, assertions) {
+        test.same(call_order, ['slow start', 'fast start', 'slow end']);
+        test.equal(assertions.length, 0);
+        test.done();
+    });
+};
+
+exports.testConcurrencyLimit = function (test) {
+    var running = 0, max_running = 0;
+    var s = {};
+    var makeTest = function (t) {
+        running += 1;
+        max_running = Math.max(max_running, running);
+        setTimeout(function () {
+            running -= 1;
+            t.done();
+        }, 5);
+    };
+    for (var i = 0; i < 7; i += 1) {
+        s['test' + i] = makeTest;
+    }
+    nodeunit.runSuite(null, s, {concurrency: 3}, function () {
+        test.equal(max_running, 3);
+        test.done();
+    });
+};
+
+exports.testCallbacksKeepDefinitionOrder = function (test) {
+    var call_order = [];
+    var s = {
+        test1: function (t) {
+            setTimeout(function () {
+                t.ok(true, 'one');
+                t.done();
+            }, 20);
+        },
+        group: {
+            test2: function (t) {
+                setTimeout(function () {
+                    t.ok(true, 'two');
+                    t.done();
+                }, 10);
+            },
+            test3: function (t) {
+                t.ok(true, 'three');
+                t.done();
+            }
+        },
+        test4: function (t) {
+            t.ok(true, 'four');
+            t.done();
+        }
+    };
+    nodeunit.runModule('testmodule', s, {
+        concurrency: 2,
+        log: function (assertion) {
+            call_order.push('log ' + assertion.message);
+        },
+        testDone: function (name, assertions) {
+            call_order.push('testDone ' + name);
+            test.equal(assertions.length, 1);
+        },
+        moduleDone: function (name, assertions) {
+            call_order.push('moduleDone');
+            test.equal(assertions.length, 4);
+        }
+    }, function () {
+        test.same(call_order, [
+            'log one', 'testDone test1',
+            'log two', 'testDone group - test2',
+            'log three', 'testDone group - test3',
+            'log four', 'testDone test4',
+            'moduleDone'
+        ]);
+        test.done();
+    });
+};
+
+exports.testModuleConcurrencyExport = function (test) {
+    var call_order = [];
+    var testmodule = {
+        concurrency: 2,
+        slow: function (t) {
+            call_order.push('slow start');
+            setTimeout(function () {
+                call_order.push('slow end');
+                t.done();
+            }, 20);
+        },
+        fast: function (t) {
+            call_order.push('fast start');
+            t.done();
+        }
+    };
+    nodeunit.runModule('testmodule', testmodule, {}, function () {
+        test.same(call_order, ['slow start', 'fast start', 'slow end']);
+        test.done();
+    });
+};
+
+exports.testSeriesByDefault = function (test) {
+    var call_order = [];
+    var s = {
+        slow: function (t) {
+            call_order.push('slow start');
+            setTimeout(function () {
+                call_order.push('slow end');
+                t.done();
+            }, 20);
+        },
+        fast: function (t) {
+            call_order.push('fast start');
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function () {
+        test.same(call_order, ['slow start', 'slow end', 'fast start']);
+        test.done();
+    });
+};
@@ -0,0 +1,111 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+exports.testOneTestPerRow = function (test) {
+    var calls = [];
+    var group = nodeunit.each([
+        [1, 1, 2],
+        [2, 3, 5]
+    ], function (t, a, b, expected) {
+        calls.push([a, b, expected]);
+        t.equal(a + b, expected);
+        t.done();
+    });
+    test.same(Object.keys(group), ['1, 1, 2', '2, 3, 5']);
+    nodeunit.runSuite(['add'], group, {}, function (err, assertions) {
+        test.same(calls, [[1, 1, 2], [2, 3, 5]]);
+        test.equal(assertions.length, 2);
+        test.ok(assertions[0].passed() && assertions[1].passed());
+        test.done();
+    });
+};
+
+exports.testNameTemplate = function (test) {
+    var fn = function (t) {
+        t.done();
+    };
+    test.same(Object.keys(nodeunit.each([
+        [1, 'one', {a: 1}],
+        ['2', 'two', [2]]
+    ], 'row %#: %d is %s (%j) 100%%', fn)), [
+        'row 0: 1 is one ({"a":1}) 100%',
+        'row 1: 2 is two ([2]) 100%'
+    ]);
+    test.same(Object.keys(nodeunit.each([
+        {input: 'a', output: 'A'},
+        {input: 'b', output: 'B'}
+    ], 'upper($input) is $output, $missing', fn)), [
+        'upper(a) is A, $missing',
+        'upper(b) is B, $missing'
+    ]);
+    test.same(Object.keys(nodeunit.each(['x', null, 3], fn)), [
+        'x', 'null', '[3]'
+    ]);
+    test.done();
+};
+
+exports.testObjectRows = function (test) {
+    var rows = [];
+    var group = nodeunit.each([{n: 1}, {n: 2}], 'n=$n', function (t, row) {
+        rows.push(row.n);
+        t.done();
+    });
+    nodeunit.runSuite(null, group, {}, function () {
+        test.same(rows, [1, 2]);
+        test.done();
+    });
+};
+
+exports.testDuplicateNames = function (test) {
+    var group = nodeunit.each([[1], [1], [2]], function (t) {
+        t.done();
+    });
+    test.same(Object.keys(group), ['[1]', '[1] #1', '[2]']);
+    test.done();
+};
+
+exports.testFilterRows = function (test) {
+    var calls = [];
+    var testmodule = {
+        add: nodeunit.each([[1, 2], [3, 4], [5, 6]], function (t, a, b) {
+            calls.push(a);
+            t.done();
+        })
+    };
+    var names = [];
+    nodeunit.runModule('mod', testmodule, {
+        testspec: '3, 4',
+        testDone: function (name) {
+            names.push(name.toString());
+        }
+    }, function () {
+        test.same(calls, [3]);
+        test.same(names, ['add - 3, 4']);
+        nodeunit.runModule('mod', testmodule, {
+            testFullSpec: 'add - 5, 6'
+        }, function () {
+            test.same(calls, [3, 5]);
+            test.done();
+        });
+    });
+};
+
+exports.testSetUpContextAndPromises = function (test) {
+    var s = {
+        setUp: function (callback) {
+            this.factor = 10;
+            callback();
+        },
+        times: nodeunit.each([[1, 10], [2, 20]], function (t, a, expected) {
+            var factor = this.factor;
+            return Promise.resolve().then(function () {
+                t.equal(a * factor, expected);
+            });
+        })
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(assertions.length, 2);
+        test.equal(nodeunit.types.assertionList(assertions).failures(), 0);
+        test.done();
+    });
+};
@@ -0,0 +1,231 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+var collect = function (runner) {
+    var events = [];
+    runner.on('event', function (e) {
+        var str = e.type;
+        if (e.module !== undefined && e.type.indexOf('module') !== 0) {
+            str += ' ' + e.module + ':' + e.name;
+        }
+        else if (e.module) {
+            str += ' ' + e.module;
+        }
+        if (e.hook) {
+            str += ' ' + e.hook;
+        }
+        if (e.status) {
+            str += ' ' + e.status;
+        }
+        events.push(str);
+    });
+    return events;
+};
+
+
+exports.testLifecycle = function (test) {
+    var runner = nodeunit.createRunner();
+    var events = collect(runner);
+    runner.runModules({
+        mod: {
+            setUpOnce: function (callback) {
+                callback();
+            },
+            group: {
+                setUp: function (callback) {
+                    callback();
+                },
+                test1: function (test) {
+                    test.ok(true);
+                    test.done();
+                }
+            },
+            test2: nodeunit.skip(function (test) {
+                test.done();
+            }, 'not yet')
+        }
+    }, function (err, assertions) {
+        test.equal(err, null);
+        test.same(events, [
+            'run:start',
+            'module:start mod',
+            'hook:start mod: setUpOnce',
+            'hook:end mod: setUpOnce',
+            'group:start mod:group',
+            'test:start mod:group - test1',
+            'hook:start mod:group - test1 setUp',
+            'hook:end mod:group - test1 setUp',
+            'assertion mod:group - test1',
+            'test:end mod:group - test1 passed',
+            'group:end mod:group',
+            'test:start mod:test2',
+            'test:skip mod:test2 skipped',
+            'test:end mod:test2 skipped',
+            'module:end mod',
+            'run:end'
+        ]);
+        test.done();
+    });
+};
+
+exports.testPayloads = function (test) {
+    var runner = nodeunit.createRunner();
+    var payloads = {};
+    runner.on('event', function (e) {
+        payloads[e.type] = e;
+    });
+    runner.runModules({
+        mod: {
+            group: {
+                test1: function (test) {
+                    test.ok(false, 'oops');
+                    test.done();
+                }
+            }
+        }
+    }, function (err, assertions) {
+        var end = payloads['test:end'];
+        test.same(end.path, ['group', 'test1']);
+        test.equal(end.name, 'group - test1');
+        test.equal(end.module, 'mod');
+        test.equal(end.status, 'failed');
+        test.equal(end.assertions.failures(), 1);
+        test.equal(typeof end.duration, 'number');
+        test.equal(typeof end.time, 'number');
+        test.equal(payloads.assertion.assertion.message, 'oops');
+        test.equal(payloads['group:end'].assertions.length, 1);
+        test.equal(payloads['module:end'].assertions.length, 1);
+        test.equal(payloads['run:end'].assertions, assertions);
+        test.equal(payloads['run:end'].aborted, false);
+        test.done();
+    });
+};
+
+exports.testRetryAndTimeout = function (test) {
+    var runner = nodeunit.createRunner({timeout: 10});
+    var attempts = 0, retries = [], timeouts = [], ends = [];
+    runner.on('test:retry', function (e) {
+        retries.push(e.name + ' ' + e.attempt + ' ' + e.assertions.failures());
+    });
+    runner.on('test:timeout', function (e) {
+        timeouts.push(e.name + ' ' + e.phase + ' ' + e.ms);
+    });
+    runner.on('test:end', function (e) {
+        ends.push(e.name + ' ' + e.status);
+    });
+    runner.runModules({
+        mod: {
+            flaky: nodeunit.retry(function (test) {
+                attempts += 1;
+                test.ok(attempts > 1);
+                test.done();
+            }, 1),
+            slow: function (test) {
+                // never calls test.done()
+            }
+        }
+    }, function (err, assertions) {
+        test.same(retries, ['flaky 2 1']);
+        test.same(timeouts, ['slow test 10']);
+        test.same(ends, ['flaky passed', 'slow timedout']);
+        test.done();
+    });
+};
+
+exports.testHookError = function (test) {
+    var runner = nodeunit.createRunner();
+    var ends = [];
+    runner.on('hook:end', function (e) {
+        ends.push(e.name + ' ' + e.hook + ' ' + (e.error && e.error.message));
+    });
+    runner.runModules({
+        mod: {
+            tearDown: function (callback) {
+                callback(new Error('teardown failed'));
+            },
+            test1: function (test) {
+                test.done();
+            }
+        }
+    }, function (err, assertions) {
+        test.same(ends, ['test1 tearDown teardown failed']);
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
+
+exports.testFileLoaded = function (test) {
+    var runner = nodeunit.createRunner();
+    var events = [];
+    runner.on('run:start', function (e) {
+        events.push(e);
+    });
+    runner.on('file:loaded', function (e) {
+        events.push(e);
+    });
+    var file = __dirname + '/fixtures/example_test.js';
+    runner.runFiles([file], function (err) {
+        test.equal(err, null);
+        test.same(events[0].paths, [file]);
+        test.equal(events[1].module, 'example_test.js');
+        test.equal(events[1].file, file);
+        test.done();
+    });
+};
+
+exports.testLogTestName = function (test) {
+    var logs = [];
+    nodeunit.runModule('mod', {
+        test1: function (test) {
+            test.ok(true);
+            test.done();
+        }
+    }, {
+        log: function (assertion, name) {
+            logs.push(name.toString());
+        }
+    }, function () {
+        test.same(logs, ['test1']);
+        test.done();
+    });
+};
+
+exports.testConcurrency = function (test) {
+    var runner = nodeunit.createRunner();
+    var events = collect(runner);
+    runner.runModules({
+        mod: {
+            concurrency: 2,
+            slow: function (test) {
+                setTimeout(function () {
+                    test.ok(true);
+                    test.done();
+                }, 30);
+            },
+            grp: {
+                inner: function (test) {
+                    test.ok(true);
+                    test.done();
+                }
+            }
+        }
+    }, function (err, assertions) {
+        test.equal(err, null);
+        // the group ran while slow was waiting, but its events come after
+        test.same(events, [
+            'run:start',
+            'module:start mod',
+            'test:start mod:slow',
+            'assertion mod:slow',
+            'test:end mod:slow passed',
+            'group:start mod:grp',
+            'test:start mod:grp - inner',
+            'assertion mod:grp - inner',
+            'test:end mod:grp - inner passed',
+            'group:end mod:grp',
+            'module:end mod',
+            'run:end'
+        ]);
+        test.done();
+    });
+};
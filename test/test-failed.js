@@ -0,0 +1,74 @@
+var nodeunit = require('../lib/nodeunit'),
+    utils = require('../lib/utils');
+
+
+var fixtures = __dirname + '/isolate';
+
+
+exports.testFailedTests = function (test) {
+    nodeunit.runFiles([fixtures + '/a_pass.js', fixtures + '/b_fail.js'], {
+        done: function (assertions) {
+            // set by a_pass.js
+            delete global.isolateFixture;
+            test.same(utils.failedTests(assertions.tests), [{
+                file: fixtures + '/b_fail.js',
+                name: 'b_fail.js - shared'
+            }]);
+            test.done();
+        }
+    });
+};
+
+exports.testFailedRun = function (test) {
+    var run = utils.failedRun([
+        {file: fixtures + '/a_pass', name: 'a_pass - group'},
+        {file: fixtures + '/b_fail', name: 'b_fail - shared (1)'},
+        {file: fixtures + '/b_fail', name: 'b_fail - other'}
+    ]);
+    test.same(run.paths, [fixtures + '/a_pass', fixtures + '/b_fail']);
+    test.same(run.grep, [
+        '/^a_pass \\- group( - |$)/',
+        '/^b_fail \\- shared \\(1\\)( - |$)/',
+        '/^b_fail \\- other( - |$)/'
+    ]);
+    var names = [];
+    nodeunit.runFiles(run.paths, {
+        grep: run.grep,
+        testDone: function (name) {
+            names.push(name.toString());
+        },
+        done: function () {
+            delete global.isolateFixture;
+            // a path without its extension is accepted as a single module
+            test.same(names, ['group - test1']);
+            test.done();
+        }
+    });
+};
+
+exports.testFailedRunReports = function (test) {
+    var run = utils.failedRun([
+        {file: fixtures + '/a_pass.js', name: 'a_pass.js - group - tearDownOnce'},
+        {file: fixtures + '/a_pass.js', name: 'a_pass.js - uncaught error'},
+        {file: fixtures + '/b_fail.js', name: 'b_fail.js - worker exited'},
+        {file: fixtures + '/b_fail.js', name: 'b_fail.js - uncaught error'}
+    ]);
+    test.same(run.paths, [fixtures + '/a_pass.js', fixtures + '/b_fail.js']);
+    // the whole group or file, as the errors were not those of a test
+    test.same(run.grep, [
+        '/^a_pass\\.js \\- group( - |$)/',
+        '/^a_pass\\.js( - |$)/',
+        '/^b_fail\\.js( - |$)/'
+    ]);
+    test.done();
+};
+
+exports.testFailedRunRemovedFile = function (test) {
+    var run = utils.failedRun([
+        {file: fixtures + '/removed.js', name: 'removed.js - test'},
+        {file: fixtures + '/b_fail.js', name: 'b_fail.js - other'}
+    ]);
+    test.same(run.paths, [fixtures + '/b_fail.js']);
+    test.same(run.grep, ['/^b_fail\\.js \\- other( - |$)/']);
+    test.done();
+};
@@ -0,0 +1,47 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+// not under fixtures, as test-cli runs those and these fail without
+// freshModules
+var fixtures = __dirname + '/fresh';
+var counter = require.resolve('./fresh/lib/counter');
+
+
+exports.testFreshModules = function (test) {
+    nodeunit.runFiles([fixtures], {
+        freshModules: true,
+        done: function (assertions) {
+            test.equal(assertions.length, 4);
+            test.equal(assertions.failures(), 0);
+            test.ok(!require.cache[counter], 'the modules are not kept');
+            test.done();
+        }
+    });
+};
+
+exports.testSharedModules = function (test) {
+    var failed = [];
+    nodeunit.runFiles([fixtures], {
+        freshModules: true,
+        sharedModules: [fixtures + '/lib'],
+        testDone: function (name, assertions) {
+            if (assertions.failures()) {
+                failed.push(name.toString());
+            }
+        },
+        done: function (assertions) {
+            test.same(failed, ['count']);
+            test.equal(assertions.failures(), 1);
+            delete require.cache[counter];
+            test.done();
+        }
+    });
+};
+
+exports.testRunner = function (test) {
+    var runner = nodeunit.createRunner({freshModules: true});
+    runner.runFiles([fixtures], function (err, assertions) {
+        test.equal(assertions.failures(), 0);
+        test.done();
+    });
+};
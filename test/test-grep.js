@@ -0,0 +1,102 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+var testmodule = function (call_order) {
+    var record = function (name) {
+        return function (t) {
+            call_order.push(name);
+            t.done();
+        };
+    };
+    return {
+        login: record('login'),
+        logout: record('logout'),
+        api: {
+            getUser: record('getUser'),
+            deleteUser: record('deleteUser'),
+            timeouts: {
+                slowLogin: record('slowLogin')
+            }
+        }
+    };
+};
+
+var runWith = function (opt, callback) {
+    var call_order = [];
+    nodeunit.runModule('mod', testmodule(call_order), opt, function () {
+        callback(call_order);
+    });
+};
+
+
+exports.testGrepGlob = function (test) {
+    runWith({grep: 'log*'}, function (call_order) {
+        test.same(call_order, ['login', 'logout']);
+        test.done();
+    });
+};
+
+exports.testGrepRegExp = function (test) {
+    runWith({grep: ['/^mod - api - [a-z]+User$/']}, function (call_order) {
+        test.same(call_order, ['getUser', 'deleteUser']);
+        runWith({grep: [/LOGIN$/i]}, function (call_order) {
+            test.same(call_order, ['login', 'slowLogin']);
+            test.done();
+        });
+    });
+};
+
+exports.testGrepMatchesModuleName = function (test) {
+    runWith({grep: 'mod - login'}, function (call_order) {
+        test.same(call_order, ['login']);
+        runWith({grep: 'other'}, function (call_order) {
+            test.same(call_order, []);
+            test.done();
+        });
+    });
+};
+
+exports.testGrepRepeated = function (test) {
+    runWith({grep: ['logout', 'getUser']}, function (call_order) {
+        test.same(call_order, ['logout', 'getUser']);
+        test.done();
+    });
+};
+
+exports.testExclude = function (test) {
+    runWith({exclude: ['api - timeouts', '/out$/']}, function (call_order) {
+        test.same(call_order, ['login', 'getUser', 'deleteUser']);
+        test.done();
+    });
+};
+
+exports.testGrepAndExclude = function (test) {
+    runWith({grep: 'api', exclude: 'delete?ser'}, function (call_order) {
+        test.same(call_order, ['getUser', 'slowLogin']);
+        runWith({grep: 'api', testspec: 'timeouts'}, function (call_order) {
+            test.same(call_order, ['slowLogin']);
+            test.done();
+        });
+    });
+};
+
+exports.testUnmatchedModuleNotReported = function (test) {
+    var moduleStart = [], moduleDone = [];
+    nodeunit.runModules({
+        mod1: testmodule([]),
+        mod2: testmodule([])
+    }, {
+        grep: 'mod2 - login',
+        moduleStart: function (name) {
+            moduleStart.push(name);
+        },
+        moduleDone: function (name) {
+            moduleDone.push(name);
+        },
+        done: function (assertions) {
+            test.same(moduleStart, ['mod2']);
+            test.same(moduleDone, ['mod2']);
+            test.done();
+        }
+    });
+};
@@ -0,0 +1,123 @@
+var nodeunit = require('../lib/nodeunit'),
+    isolate = require('../lib/isolate'),
+    assert = require('../lib/assert');
+
+
+// not under fixtures, as test-cli runs those and these fail on purpose
+var fixtures = __dirname + '/isolate';
+
+
+exports.testRunFiles = function (test) {
+    var events = [], results = {};
+    nodeunit.runFiles([fixtures], {
+        jobs: 2,
+        moduleStart: function (name) {
+            events.push('moduleStart ' + name);
+        },
+        testDone: function (name, assertions) {
+            events.push('testDone ' + name);
+            results[name.toString()] = assertions.test;
+        },
+        moduleDone: function (name, assertions) {
+            events.push('moduleDone ' + name + ' ' + assertions.length);
+        },
+        done: function (assertions) {
+            test.same(events, [
+                'moduleStart a_pass',
+                'testDone group - test1',
+                'moduleDone a_pass 1',
+                'moduleStart b_fail',
+                'testDone shared',
+                'moduleDone b_fail 2',
+                'moduleStart c_crash',
+                'testDone before',
+                'testDone crash',
+                'moduleDone c_crash 1'
+            ]);
+            test.equal(results['group - test1'].status, 'passed');
+            test.equal(results['group - test1'].file, fixtures + '/a_pass');
+            test.equal(results.shared.status, 'failed');
+            test.equal(results.shared.assertions.length, 2);
+            test.ok(results.shared.assertions[0].passed(),
+                    'files do not share globals');
+            test.equal(results.shared.error.name, 'AssertionError');
+            test.equal(results.crash.status, 'errored');
+            test.equal(
+                results.crash.error.message,
+                'The worker running ' + fixtures + '/c_crash exited with ' +
+                'code 3 before its tests were done'
+            );
+            test.same(assertions.summary(), {
+                tests: 4,
+                passed: 2,
+                failed: 1,
+                errored: 1,
+                timedout: 0,
+                skipped: 0,
+                todo: 0,
+                flaky: 0
+            });
+            test.done();
+        }
+    });
+};
+
+exports.testBail = function (test) {
+    var names = [];
+    nodeunit.runFiles([fixtures], {
+        isolate: true,
+        bail: true,
+        testDone: function (name) {
+            names.push(name.toString());
+        },
+        done: function (assertions) {
+            test.same(names, ['group - test1', 'shared']);
+            test.ok(assertions.aborted);
+            test.done();
+        }
+    });
+};
+
+exports.testRunner = function (test) {
+    var runner = nodeunit.createRunner({jobs: 1});
+    var types = [];
+    runner.on('event', function (e) {
+        types.push(e.type + (e.module ? ' ' + e.module : ''));
+    });
+    runner.runFiles([fixtures + '/a_pass.js'], function (err, assertions) {
+        test.equal(err, null);
+        test.same(types, [
+            'run:start',
+            'module:start a_pass.js',
+            'group:start a_pass.js',
+            'test:start a_pass.js',
+            'assertion a_pass.js',
+            'test:end a_pass.js',
+            'group:end a_pass.js',
+            'module:end a_pass.js',
+            'run:end'
+        ]);
+        test.equal(runner.results, assertions);
+        test.done();
+    });
+};
+
+exports.testEncode = function (test) {
+    var err = new assert.AssertionError({
+        message: 'oops',
+        actual: {a: 1},
+        expected: [2],
+        operator: 'deepEqual'
+    });
+    var decoded = isolate.decode(
+        JSON.parse(JSON.stringify(isolate.encode(err)))
+    );
+    test.ok(decoded instanceof assert.AssertionError);
+    test.equal(decoded.message, 'oops');
+    test.equal(decoded.stack, err.stack);
+    test.equal(require('util').inspect(decoded.actual), '{ a: 1 }');
+
+    var name = isolate.decode(isolate.encode(['group', 'test']));
+    test.equal(name.toString(), 'group - test');
+    test.done();
+};
@@ -0,0 +1,221 @@
+var runModule = require('./helpers/results').runModule,
+    net = require('net');
+
+
+exports.testStrict = function (test) {
+    var interval;
+    runModule({
+        leaks: function (test) {
+            interval = setInterval(function () {}, 1000);
+            test.done();
+        }
+    }, {detectLeaks: 'strict'}, function (results, assertions) {
+        clearInterval(interval);
+        test.equal(results.leaks.status, 'passed');
+        var leaked = results['leaked handles'];
+        test.equal(leaked.status, 'errored');
+        test.ok(/^Module mod left 1 handle open:\n  timer created\n/.test(
+            leaked.error.message
+        ));
+        test.ok(leaked.error.message.indexOf(__filename) !== -1,
+                'shows where the timer was created');
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
+
+exports.testWarning = function (test) {
+    var interval, warning;
+    var onWarning = function (w) {
+        warning = w;
+    };
+    process.on('warning', onWarning);
+    runModule({
+        leaks: function (test) {
+            interval = setInterval(function () {}, 1000);
+            interval.unref();
+            // not unref()'d
+            interval = setInterval(function () {}, 1000);
+            test.done();
+        }
+    }, {detectLeaks: true}, function (results, assertions) {
+        clearInterval(interval);
+        test.equal(assertions.failures(), 0);
+        test.ok(!results['leaked handles']);
+        // warnings are emitted on the next tick
+        process.nextTick(function () {
+            process.removeListener('warning', onWarning);
+            test.equal(warning.name, 'LeakWarning');
+            test.ok(/left 1 handle open/.test(warning.message));
+            test.done();
+        });
+    });
+};
+
+exports.testClosedHandles = function (test) {
+    runModule({
+        server: function (test) {
+            var server = net.createServer().listen(0, function () {
+                var socket = net.connect(server.address().port, function () {
+                    socket.destroy();
+                    server.close(test.done);
+                });
+            });
+        },
+        timer: function (test) {
+            setTimeout(test.done, 1);
+        }
+    }, {detectLeaks: 'strict'}, function (results, assertions) {
+        test.same(Object.keys(results), ['server', 'timer']);
+        test.equal(assertions.failures(), 0);
+        test.done();
+    });
+};
+
+exports.testGlobals = function (test) {
+    runModule({
+        leaky: function (test) {
+            global.leakedOne = 1;
+            global.leakedTwo = 2;
+            test.ok(true);
+            test.done();
+        },
+        allowed: function (test) {
+            global.allowedGlobal = 1;
+            global.coverageData = {};
+            test.done();
+        },
+        cleaned: {
+            setUp: function (cb) {
+                global.cleanedGlobal = 1;
+                cb();
+            },
+            tearDown: function (cb) {
+                delete global.cleanedGlobal;
+                cb();
+            },
+            test: function (test) {
+                test.done();
+            }
+        }
+    }, {
+        checkLeaks: true,
+        globals: ['allowedGlobal', 'coverage*']
+    }, function (results, assertions) {
+        ['leakedOne', 'leakedTwo', 'allowedGlobal', 'coverageData']
+            .forEach(function (name) {
+                delete global[name];
+            });
+        test.equal(results.leaky.status, 'errored');
+        test.equal(
+            results.leaky.error.message,
+            'Global variables leaked: leakedOne, leakedTwo'
+        );
+        test.equal(results.allowed.status, 'passed');
+        test.equal(results['cleaned - test'].status, 'passed');
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
+
+exports.testRestoreState = function (test) {
+    var cwd = process.cwd();
+    process.env.NODEUNIT_KEPT = 'kept';
+    runModule({
+        setUpOnce: function (cb) {
+            process.exitCode = 3;
+            cb();
+        },
+        env: function (test) {
+            process.env.NODEUNIT_ADDED = 'added';
+            process.env.NODEUNIT_KEPT = 'changed';
+            test.done();
+        },
+        cwd: function (test) {
+            test.equal(process.env.NODEUNIT_ADDED, undefined);
+            test.equal(process.env.NODEUNIT_KEPT, 'kept');
+            process.chdir(__dirname);
+            test.done();
+        },
+        clean: function (test) {
+            test.equal(process.cwd(), cwd);
+            test.done();
+        }
+    }, {restoreState: 'strict'}, function (results, assertions) {
+        delete process.env.NODEUNIT_KEPT;
+        test.equal(
+            results.env.error.message,
+            'Test mod - env changed process.env.NODEUNIT_ADDED, ' +
+            'process.env.NODEUNIT_KEPT'
+        );
+        test.equal(
+            results.cwd.error.message,
+            'Test mod - cwd changed process.cwd()'
+        );
+        test.equal(results.clean.status, 'passed');
+        test.equal(
+            results['changed process state'].error.message,
+            'Module mod changed process.exitCode'
+        );
+        test.equal(process.exitCode, undefined);
+        test.equal(assertions.failures(), 3);
+        test.done();
+    });
+};
+
+exports.testGlobalsConcurrency = function (test) {
+    runModule({
+        concurrency: 2,
+        leaky: function (test) {
+            global.leakedConcurrently = 1;
+            setTimeout(test.done, 20);
+        },
+        slow: function (test) {
+            setTimeout(test.done, 40);
+        }
+    }, {checkLeaks: true}, function (results, assertions) {
+        delete global.leakedConcurrently;
+        // the sibling of the test which leaked it is not blamed
+        test.equal(results.leaky.status, 'passed');
+        test.equal(results.slow.status, 'passed');
+        test.equal(
+            results['leaked globals'].error.message,
+            'Global variable leaked: leakedConcurrently'
+        );
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
+
+exports.testRestoreStateConcurrency = function (test) {
+    runModule({
+        concurrency: 2,
+        cleaned: function (test) {
+            process.env.NODEUNIT_CLEANED = 'set';
+            setTimeout(function () {
+                delete process.env.NODEUNIT_CLEANED;
+                test.done();
+            }, 20);
+        },
+        slow: function (test) {
+            setTimeout(test.done, 40);
+        },
+        changed: function (test) {
+            process.env.NODEUNIT_CHANGED = 'set';
+            test.done();
+        }
+    }, {restoreState: 'strict'}, function (results, assertions) {
+        // the sibling of the test which changed it is not blamed
+        test.equal(results.cleaned.status, 'passed');
+        test.equal(results.slow.status, 'passed');
+        test.equal(results.changed.status, 'passed');
+        test.equal(
+            results['changed process state'].error.message,
+            'Module mod changed process.env.NODEUNIT_CHANGED'
+        );
+        test.equal(process.env.NODEUNIT_CHANGED, undefined);
+        test.equal(process.env.NODEUNIT_CLEANED, undefined);
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
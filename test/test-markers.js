@@ -0,0 +1,221 @@
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    nodeunit = require('../lib/nodeunit');
+
+var nodeunit_path = path.resolve(__dirname, '../lib/nodeunit');
+
+
+exports.testSkip = function (test) {
+    var call_order = [];
+    var testmodule = {
+        test1: nodeunit.skip(function (t) {
+            call_order.push('test1');
+            t.done();
+        }, 'not today'),
+        test2: function (t) {
+            call_order.push('test2');
+            t.ok(true);
+            t.done();
+        }
+    };
+    nodeunit.runModule('testmodule', testmodule, {
+        testStart: function (name) {
+            call_order.push('testStart ' + name);
+        },
+        testDone: function (name, assertions) {
+            call_order.push('testDone ' + name);
+            if (name.toString() === 'test1') {
+                test.equal(assertions.skipped(), 1);
+                test.equal(assertions[0].message, 'not today');
+            }
+        },
+        moduleDone: function (name, assertions) {
+            test.equal(assertions.skipped(), 1);
+            test.equal(assertions.passes(), 1);
+            test.equal(assertions.failures(), 0);
+        }
+    }, function () {
+        test.same(call_order, [
+            'testStart test1', 'testDone test1',
+            'testStart test2', 'test2', 'testDone test2'
+        ]);
+        test.done();
+    });
+};
+
+exports.testSkipGroup = function (test) {
+    var s = {
+        group: nodeunit.skip({
+            setUp: function (callback) {
+                test.ok(false, 'setUp should not be called');
+                callback();
+            },
+            test1: function (t) {
+                test.ok(false, 'test1 should not run');
+                t.done();
+            },
+            inner: {
+                test2: nodeunit.only(function (t) {
+                    test.ok(false, 'test2 should not run');
+                    t.done();
+                })
+            }
+        })
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        assertions = nodeunit.types.assertionList(assertions);
+        test.equal(assertions.skipped(), 2);
+        test.equal(assertions.length, 2);
+        test.done();
+    });
+};
+
+exports.testTodo = function (test) {
+    var s = {
+        test1: nodeunit.todo('waiting for the v2 API'),
+        test2: nodeunit.todo(function (t) {
+            test.ok(false, 'todo test should not run');
+            t.done();
+        })
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        assertions = nodeunit.types.assertionList(assertions);
+        test.equal(assertions.todo(), 2);
+        test.equal(assertions[0].message, 'waiting for the v2 API');
+        test.equal(assertions.passes(), 0);
+        test.done();
+    });
+};
+
+exports.testRuntimeSkip = function (test) {
+    var s = {
+        tearDown: function (callback) {
+            test.ok(true, 'tearDown still runs');
+            callback();
+        },
+        test1: function (t) {
+            t.expect(3);
+            t.ok(true);
+            t.skip('no network');
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        assertions = nodeunit.types.assertionList(assertions);
+        test.equal(assertions.length, 2);
+        test.equal(assertions.skipped(), 1);
+        test.equal(assertions.failures(), 0);
+        test.equal(assertions[1].message, 'no network');
+        test.done();
+    });
+};
+
+exports.testOnly = function (test) {
+    var call_order = [];
+    var testmodule = {
+        test1: function (t) {
+            call_order.push('test1');
+            t.done();
+        },
+        test2: nodeunit.only(function (t) {
+            call_order.push('test2');
+            t.done();
+        }),
+        group: nodeunit.only({
+            test3: function (t) {
+                call_order.push('test3');
+                t.done();
+            },
+            test4: nodeunit.skip(function (t) {
+                call_order.push('test4');
+                t.done();
+            })
+        })
+    };
+    var done = [];
+    nodeunit.runModule('testmodule', testmodule, {
+        testDone: function (name) {
+            done.push(name.toString());
+        }
+    }, function () {
+        test.same(call_order, ['test2', 'test3']);
+        test.same(done, ['test2', 'group - test3', 'group - test4']);
+        test.done();
+    });
+};
+
+exports.testOnlyAcrossModules = function (test) {
+    var call_order = [];
+    nodeunit.runModules({
+        module1: {
+            test1: function (t) {
+                call_order.push('module1 test1');
+                t.done();
+            }
+        },
+        module2: {
+            test1: nodeunit.only(function (t) {
+                call_order.push('module2 test1');
+                t.done();
+            })
+        }
+    }, {
+        done: function () {
+            test.same(call_order, ['module2 test1']);
+            test.done();
+        }
+    });
+};
+
+exports.testOnlyAcrossFiles = function (test) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodeunit-only-'));
+    fs.writeFileSync(path.join(dir, 'focused.js'),
+        'var nodeunit = require(' + JSON.stringify(nodeunit_path) + ');\n' +
+        'exports.focused = nodeunit.only(function (test) {\n' +
+        '    test.ok(true);\n' +
+        '    test.done();\n' +
+        '});\n' +
+        'exports.unfocused = function (test) {\n' +
+        '    test.ok(false, "should not run");\n' +
+        '    test.done();\n' +
+        '};\n'
+    );
+    fs.writeFileSync(path.join(dir, 'other.js'),
+        'exports.unfocused = function (test) {\n' +
+        '    test.ok(false, "should not run");\n' +
+        '    test.done();\n' +
+        '};\n'
+    );
+    nodeunit.runFiles([dir], {
+        done: function (assertions) {
+            fs.unlinkSync(path.join(dir, 'focused.js'));
+            fs.unlinkSync(path.join(dir, 'other.js'));
+            fs.rmdirSync(dir);
+            test.equal(assertions.length, 1);
+            test.equal(assertions.failures(), 0);
+            test.done();
+        }
+    });
+};
+
+exports.testHasOnly = function (test) {
+    test.equal(nodeunit.hasOnly({test1: function () {}}), false);
+    test.equal(nodeunit.hasOnly({
+        group: {test1: nodeunit.only(function () {})}
+    }), true);
+    test.equal(nodeunit.hasOnly({group: nodeunit.only({})}), true);
+    test.done();
+};
+
+exports.testMarkersLeaveOriginalUntouched = function (test) {
+    var fn = function (t) {
+        t.done();
+    };
+    var group = {test1: fn};
+    nodeunit.skip(fn);
+    nodeunit.only(group);
+    test.equal(fn._mark, undefined);
+    test.equal(group._mark, undefined);
+    test.equal(nodeunit.hasOnly({group: group}), false);
+    test.done();
+};
@@ -0,0 +1,118 @@
+var nodeunit = require('../lib/nodeunit'),
+    runModule = require('./helpers/results').runModule;
+
+
+exports.testDoneTwice = function (test) {
+    runModule({
+        twice: function (test) {
+            test.ok(true);
+            test.done();
+            test.done();
+        },
+        next: function (test) {
+            test.done();
+        }
+    }, {}, function (results) {
+        test.equal(results.twice.assertions.length, 2);
+        test.equal(results.twice.assertions.failures(), 1);
+        test.equal(
+            results.twice.assertions[1].error.message,
+            'test.done() was called more than once'
+        );
+        test.equal(results.twice.status, 'errored');
+        test.equal(results.next.assertions.length, 0);
+        test.done();
+    });
+};
+
+exports.testAssertionAfterDone = function (test) {
+    runModule({
+        late: function (test) {
+            test.done();
+            test.ok(true);
+        }
+    }, {}, function (results) {
+        test.equal(results.late.assertions.length, 1);
+        test.equal(
+            results.late.assertions[0].error.message,
+            'Assertion (ok) made after test.done()'
+        );
+        test.done();
+    });
+};
+
+exports.testDoneFromAnotherTest = function (test) {
+    var first;
+    runModule({
+        first: function (test) {
+            first = test;
+            test.done();
+        },
+        second: function (test) {
+            first.done();
+            first.equal(1, 1);
+            test.done();
+        }
+    }, {}, function (results) {
+        test.equal(results.first.assertions.length, 0, 'first was already reported');
+        test.equal(results.second.assertions.length, 2);
+        test.equal(
+            results.second.assertions[0].error.message,
+            'test.done() was called more than once by test "first"'
+        );
+        test.equal(
+            results.second.assertions[1].error.message,
+            'Assertion (equal) made after test.done() by test "first"'
+        );
+        test.done();
+    });
+};
+
+exports.testDoneBetweenTests = function (test) {
+    var first, results = {};
+    nodeunit.runModule('mod', {
+        first: function (test) {
+            first = test;
+            test.done();
+        },
+        second: function (test) {
+            test.done();
+        }
+    }, {
+        testDone: function (name, assertions) {
+            results[name.toString()] = assertions;
+            if (name.toString() === 'first') {
+                // after first is reported, before second starts
+                first.done();
+            }
+        }
+    }, function (err, assertions) {
+        test.same(Object.keys(results), ['first', 'second', 'uncaught error']);
+        test.equal(
+            results['uncaught error'][0].error.message,
+            'test.done() was called more than once by test "first"'
+        );
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
+
+exports.testLateDoneAfterTimeout = function (test) {
+    var slow;
+    runModule({
+        slow: function (test) {
+            slow = test;
+        },
+        next: function (test) {
+            // the timed out test finishing late is not its fault
+            slow.ok(true);
+            slow.done();
+            test.done();
+        }
+    }, {timeout: 10}, function (results) {
+        test.equal(results.slow.assertions.length, 1);
+        test.equal(results.slow.status, 'timedout');
+        test.equal(results.next.assertions.length, 0);
+        test.done();
+    });
+};
@@ -0,0 +1,73 @@
+var nodeunit = require('../lib/nodeunit'),
+    registry = require('../lib/registry'),
+    Module = require('module');
+
+
+// not under fixtures, as test-cli would run app.js and db.js as test files
+var fixtures = __dirname + '/mock';
+
+var stub = {
+    find: function () {
+        return 'stub';
+    }
+};
+
+
+exports.testRequire = function (test) {
+    var app = nodeunit.mock.require('./mock/app', {'./db': stub});
+    test.equal(app.find(), 'stub');
+    test.equal(app.findLater(), 'stub');
+    // the real module keeps the real dependencies
+    test.notEqual(require('./mock/app'), app);
+    test.equal(require('./mock/app').find(), 'real');
+    test.done();
+};
+
+exports.testResolvedName = function (test) {
+    var app = nodeunit.mock.require(fixtures + '/app.js', {'./db.js': stub});
+    test.equal(app.find(), 'stub');
+    test.done();
+};
+
+exports.testBuiltIn = function (test) {
+    test.throws(function () {
+        nodeunit.mock.require('fs');
+    }, /Can not mock built-in module fs/);
+    test.done();
+};
+
+exports.testRestoredAfterTest = function (test) {
+    var load = Module._load;
+    var app;
+    nodeunit.runModule('mod', {
+        setUp: function (cb) {
+            app = nodeunit.mock.require('./mock/app', {'./db': stub});
+            cb();
+        },
+        mocked: function (test) {
+            test.equal(app.findLater(), 'stub');
+            test.done();
+        }
+    }, {}, function (err, assertions) {
+        test.equal(assertions.failures(), 0);
+        test.equal(app.findLater(), 'real');
+        test.equal(Module._load, load, 'require is no longer hooked');
+        test.done();
+    });
+};
+
+exports.testRestoredAfterFile = function (test) {
+    var load = Module._load;
+    var reg = registry.create({});
+    nodeunit.runFiles([fixtures + '/file_test.js'], {
+        registry: reg,
+        done: function (assertions) {
+            test.equal(assertions.failures(), 0);
+            test.equal(Module._load, load, 'require is no longer hooked');
+            var deps = reg.dependencies()[fixtures + '/file_test.js'];
+            test.ok(deps.indexOf(fixtures + '/app.js') !== -1,
+                    'the mocked module is a dependency of the file');
+            test.done();
+        }
+    });
+};
@@ -0,0 +1,175 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+var later = function (value, ms) {
+    return new Promise(function (resolve) {
+        setTimeout(function () {
+            resolve(value);
+        }, ms || 0);
+    });
+};
+
+
+exports.testResolvedPromiseFinishesTest = function (test) {
+    test.expect(3);
+    var s = {
+        test1: function (t) {
+            return later().then(function () {
+                t.ok(true, 'assertion after await');
+            });
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.ok(assertions[0].passed());
+        test.equal(assertions[0].message, 'assertion after await');
+        test.done();
+    });
+};
+
+exports.testRejectedPromiseFailsTest = function (test) {
+    test.expect(3);
+    var test_error = new Error('test error');
+    var s = {
+        test1: function (t) {
+            return later().then(function () {
+                throw test_error;
+            });
+        },
+        test2: function (t) {
+            return Promise.reject('oops');
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(assertions.length, 2);
+        test.equal(assertions[0].error, test_error);
+        test.equal(assertions[1].message, 'Promise rejected with oops');
+        test.done();
+    });
+};
+
+exports.testExpectWithPromise = function (test) {
+    var s = {
+        test1: function (t) {
+            t.expect(2);
+            return later().then(function () {
+                t.ok(true);
+            });
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(assertions.length, 2);
+        test.equal(assertions[1].message, 'Expected 2 assertions, 1 ran');
+        test.done();
+    });
+};
+
+exports.testPromiseAndDoneIsAnError = function (test) {
+    var s = {
+        sync: function (t) {
+            t.done();
+            return later();
+        },
+        async: function (t) {
+            setTimeout(t.done, 0);
+            return later(null, 20);
+        }
+    };
+    var testDone_calls = 0;
+    nodeunit.runSuite(null, s, {
+        testDone: function () {
+            testDone_calls += 1;
+        }
+    }, function (err, assertions) {
+        test.equal(assertions.length, 2);
+        test.equal(
+            assertions[0].message,
+            'test.done() was called by a test which returned a promise'
+        );
+        test.equal(
+            assertions[1].message,
+            'test.done() was called by a test which returned a promise'
+        );
+        setTimeout(function () {
+            test.equal(testDone_calls, 2);
+            test.done();
+        }, 30);
+    });
+};
+
+exports.testPromiseHooks = function (test) {
+    var call_order = [];
+    var s = {
+        setUp: function () {
+            var context = this;
+            return later().then(function () {
+                call_order.push('setUp');
+                context.one = 1;
+            });
+        },
+        tearDown: function () {
+            return later().then(function () {
+                call_order.push('tearDown');
+            });
+        },
+        test1: function (t) {
+            call_order.push('test1');
+            t.equal(this.one, 1);
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.ok(assertions[0].passed());
+        test.same(call_order, ['setUp', 'test1', 'tearDown']);
+        test.done();
+    });
+};
+
+exports.testRejectedSetUp = function (test) {
+    var test_error = new Error('test error');
+    var s = {
+        setUp: function () {
+            return Promise.reject(test_error);
+        },
+        test1: function (t) {
+            test.ok(false, 'test function should not be called');
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.equal(assertions[0].error, test_error);
+        test.done();
+    });
+};
+
+exports.testRejectedTearDown = function (test) {
+    var test_error = new Error('test error');
+    var s = {
+        tearDown: function () {
+            return Promise.reject(test_error);
+        },
+        test1: function (t) {
+            return later();
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.equal(assertions[0].error, test_error);
+        test.done();
+    });
+};
+
+exports.testPromiseTimeout = function (test) {
+    var s = {
+        test1: function (t) {
+            return new Promise(function () {});
+        }
+    };
+    nodeunit.runSuite(null, s, {timeout: 10}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.equal(assertions[0].message, 'Test timed out after 10ms');
+        test.done();
+    });
+};
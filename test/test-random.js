@@ -0,0 +1,115 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+var recordingSuite = function (call_order) {
+    var suite = {};
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(function (k) {
+        suite[k] = function (t) {
+            call_order.push(k);
+            t.done();
+        };
+    });
+    suite.group = {
+        g1: function (t) {
+            call_order.push('g1');
+            t.done();
+        },
+        g2: function (t) {
+            call_order.push('g2');
+            t.done();
+        }
+    };
+    return suite;
+};
+
+var runOrder = function (opt, callback) {
+    var call_order = [];
+    nodeunit.runSuite(null, recordingSuite(call_order), opt, function () {
+        callback(call_order);
+    });
+};
+
+
+exports.testShuffle = function (test) {
+    var arr = [1, 2, 3, 4, 5, 6, 7, 8];
+    var shuffled = nodeunit.shuffle(arr, 42, 'key');
+    test.same(arr, [1, 2, 3, 4, 5, 6, 7, 8], 'original left untouched');
+    test.same(shuffled.slice().sort(), arr);
+    test.same(nodeunit.shuffle(arr, 42, 'key'), shuffled);
+    test.done();
+};
+
+exports.testDefinitionOrderWithoutSeed = function (test) {
+    runOrder({}, function (call_order) {
+        test.same(call_order, ['a', 'b', 'c', 'd', 'e', 'f', 'g1', 'g2']);
+        test.done();
+    });
+};
+
+exports.testSeedGivesSameOrder = function (test) {
+    runOrder({seed: 1234}, function (first) {
+        runOrder({seed: 1234}, function (second) {
+            test.same(first, second);
+            test.same(first.slice().sort(), [
+                'a', 'b', 'c', 'd', 'e', 'f', 'g1', 'g2'
+            ]);
+            // a group's tests stay together
+            test.equal(Math.abs(first.indexOf('g1') - first.indexOf('g2')), 1);
+            test.done();
+        });
+    });
+};
+
+exports.testSeedsGiveDifferentOrders = function (test) {
+    var orders = {};
+    var seeds = [1, 2, 3, 4, 5];
+    var next = function () {
+        if (!seeds.length) {
+            test.ok(Object.keys(orders).length > 1);
+            return test.done();
+        }
+        runOrder({seed: seeds.shift()}, function (call_order) {
+            orders[call_order.join(',')] = true;
+            next();
+        });
+    };
+    next();
+};
+
+exports.testSameOrderWithConcurrency = function (test) {
+    runOrder({seed: 99}, function (serial) {
+        var done = [];
+        nodeunit.runSuite(null, recordingSuite([]), {
+            seed: 99,
+            concurrency: 3,
+            testDone: function (name) {
+                done.push(name[name.length - 1]);
+            }
+        }, function () {
+            test.same(done, serial);
+            test.done();
+        });
+    });
+};
+
+exports.testRandomModules = function (test) {
+    var modules = {}, call_order = [];
+    ['m1', 'm2', 'm3', 'm4', 'm5', 'm6'].forEach(function (k) {
+        modules[k] = {
+            test1: function (t) {
+                call_order.push(k);
+                t.done();
+            }
+        };
+    });
+    nodeunit.runModules(modules, {
+        seed: 7,
+        done: function () {
+            test.same(
+                call_order,
+                nodeunit.shuffle(['m1', 'm2', 'm3', 'm4', 'm5', 'm6'], 7, '')
+            );
+            test.done();
+        }
+    });
+};
@@ -0,0 +1,142 @@
+var nodeunit = require('../lib/nodeunit'),
+    runModule = require('./helpers/results').runModule,
+    utils = require('../lib/utils');
+
+
+exports.testStatuses = function (test) {
+    var attempts = 0;
+    runModule({
+        passed: function (test) {
+            test.ok(true);
+            test.done();
+        },
+        failed: function (test) {
+            test.ok(false);
+            test.done();
+        },
+        errored: function (test) {
+            throw new Error('oops');
+        },
+        timedout: function (test) {
+            // never calls test.done()
+        },
+        skipped: nodeunit.skip(function (test) {
+            test.done();
+        }, 'not yet'),
+        todo: nodeunit.todo(function (test) {
+            test.done();
+        }),
+        flaky: nodeunit.retry(function (test) {
+            attempts += 1;
+            test.ok(attempts > 1);
+            test.done();
+        }, 1)
+    }, {timeout: 20}, function (results, assertions) {
+        test.equal(results.passed.status, 'passed');
+        test.equal(results.failed.status, 'failed');
+        test.equal(results.failed.error.name, 'AssertionError');
+        test.equal(results.errored.status, 'errored');
+        test.equal(results.errored.error.message, 'oops');
+        test.equal(results.timedout.status, 'timedout');
+        test.equal(results.skipped.status, 'skipped');
+        test.equal(results.skipped.reason, 'not yet');
+        test.equal(results.todo.status, 'todo');
+        test.equal(results.flaky.status, 'passed');
+        test.ok(results.flaky.flaky);
+        test.ok(!results.passed.flaky);
+        test.same(assertions.summary(), {
+            tests: 7,
+            passed: 2,
+            failed: 1,
+            errored: 1,
+            timedout: 1,
+            skipped: 1,
+            todo: 1,
+            flaky: 1
+        });
+        test.equal(
+            utils.testSummary(assertions),
+            ', 3/7 tests failed (1 errored, 1 timed out)'
+        );
+        test.done();
+    });
+};
+
+exports.testNodeAssert = function (test) {
+    runModule({
+        thrown: function (test) {
+            require('assert').ok(false);
+        },
+        // as node's assert names it before node 12
+        renamed: function (test) {
+            var err = new Error('failed');
+            err.name = 'AssertionError [ERR_ASSERTION]';
+            err.code = 'ERR_ASSERTION';
+            throw err;
+        }
+    }, {}, function (results) {
+        test.equal(results.thrown.status, 'failed');
+        test.equal(results.renamed.status, 'failed');
+        test.done();
+    });
+};
+
+exports.testResultFields = function (test) {
+    runModule({
+        group: {
+            test1: function (test) {
+                test.ok(true);
+                test.equal(1, 1);
+                test.done();
+            }
+        }
+    }, {}, function (results, assertions) {
+        var result = results['group - test1'];
+        test.equal(result.name, 'group - test1');
+        test.same(result.path, ['group', 'test1']);
+        test.equal(result.module, 'mod');
+        test.equal(result.assertions.length, 2);
+        test.equal(result.error, null);
+        test.equal(typeof result.duration, 'number');
+        test.equal(assertions.tests.length, 1);
+        test.equal(assertions.tests[0], result);
+        test.equal(utils.testSummary(assertions), ', 1 tests');
+        test.done();
+    });
+};
+
+exports.testOutput = function (test) {
+    var write = process.stdout.write;
+    var written = [];
+    // keep the output of the test out of the report
+    process.stdout.write = function (chunk) {
+        written.push(chunk);
+        return true;
+    };
+    runModule({
+        test1: function (test) {
+            process.stdout.write('hello\n');
+            test.done();
+        }
+    }, {}, function (results) {
+        process.stdout.write = write;
+        test.equal(results.test1.output, 'hello\n');
+        test.same(written, ['hello\n'], 'the output is still written');
+        test.done();
+    });
+};
+
+exports.testRunResults = function (test) {
+    nodeunit.runFiles([__dirname + '/fixtures/example_test.js'], {
+        done: function (assertions) {
+            test.equal(assertions.tests.length, 1);
+            test.equal(assertions.tests[0].status, 'passed');
+            test.equal(
+                assertions.tests[0].file,
+                __dirname + '/fixtures/example_test.js'
+            );
+            test.equal(assertions.summary().passed, 1);
+            test.done();
+        }
+    });
+};
@@ -0,0 +1,144 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+exports.testRetryUntilPass = function (test) {
+    var call_order = [];
+    var attempts = 0;
+    var s = {
+        setUp: function (callback) {
+            call_order.push('setUp');
+            this.attempt = attempts + 1;
+            callback();
+        },
+        tearDown: function (callback) {
+            call_order.push('tearDown');
+            callback();
+        },
+        test1: function (t) {
+            attempts += 1;
+            call_order.push('test1');
+            t.equal(this.attempt, attempts);
+            t.ok(attempts === 3, 'fails twice');
+            t.done();
+        }
+    };
+    var logged = [];
+    var testDone_calls = 0;
+    nodeunit.runSuite(null, s, {
+        retries: 3,
+        log: function (a) {
+            logged.push(a);
+        },
+        testDone: function (name, assertions) {
+            testDone_calls += 1;
+            test.equal(assertions.flaky(), 1);
+            test.equal(assertions.passes(), 2);
+        }
+    }, function (err, assertions) {
+        test.same(call_order, [
+            'setUp', 'test1', 'tearDown',
+            'setUp', 'test1', 'tearDown',
+            'setUp', 'test1', 'tearDown'
+        ]);
+        test.equal(testDone_calls, 1);
+        test.equal(assertions.length, 3);
+        test.equal(assertions[2].status, 'flaky');
+        test.equal(assertions[2].message, 'passed on attempt 3 of 4');
+        test.equal(logged.length, 3);
+        test.done();
+    });
+};
+
+exports.testRetriesExhausted = function (test) {
+    var attempts = 0;
+    var s = {
+        test1: function (t) {
+            attempts += 1;
+            t.ok(false, 'attempt ' + attempts);
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {retries: 2}, function (err, assertions) {
+        assertions = nodeunit.types.assertionList(assertions);
+        test.equal(attempts, 3);
+        test.equal(assertions.length, 1);
+        test.equal(assertions[0].message, 'attempt 3');
+        test.equal(assertions.flaky(), 0);
+        test.done();
+    });
+};
+
+exports.testNoRetryByDefault = function (test) {
+    var attempts = 0;
+    var s = {
+        test1: function (t) {
+            attempts += 1;
+            t.done(new Error('fail'));
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.equal(attempts, 1);
+        test.equal(assertions.length, 1);
+        test.done();
+    });
+};
+
+exports.testRetryMarker = function (test) {
+    var attempts = {test1: 0, test2: 0, test3: 0};
+    var failOnce = function (name) {
+        return function (t) {
+            attempts[name] += 1;
+            t.ok(attempts[name] > 1);
+            t.done();
+        };
+    };
+    var s = {
+        test1: nodeunit.retry(failOnce('test1'), 1),
+        group: nodeunit.retry({
+            test2: failOnce('test2'),
+            test3: nodeunit.retry(failOnce('test3'), 0)
+        }, 2)
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        assertions = nodeunit.types.assertionList(assertions);
+        test.same(attempts, {test1: 2, test2: 2, test3: 1});
+        test.equal(assertions.flaky(), 2);
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
+
+exports.testModuleRetries = function (test) {
+    var attempts = 0;
+    var testmodule = {
+        retries: 1,
+        test1: function (t) {
+            attempts += 1;
+            t.ok(attempts > 1);
+            t.done();
+        }
+    };
+    nodeunit.runModule('testmodule', testmodule, {}, function (err, assertions) {
+        test.equal(attempts, 2);
+        test.equal(nodeunit.types.assertionList(assertions).flaky(), 1);
+        test.done();
+    });
+};
+
+exports.testRetryTimeout = function (test) {
+    var attempts = 0;
+    var s = {
+        test1: function (t) {
+            attempts += 1;
+            if (attempts > 1) {
+                t.done();
+            }
+        }
+    };
+    nodeunit.runSuite(null, s, {retries: 1, timeout: 10}, function (err, assertions) {
+        test.equal(attempts, 2);
+        test.equal(assertions.length, 1);
+        test.equal(assertions[0].status, 'flaky');
+        test.done();
+    });
+};
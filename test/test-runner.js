@@ -0,0 +1,173 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+var slowModule = function (name, ms) {
+    var mod = {};
+    mod[name] = function (test) {
+        setTimeout(function () {
+            test.ok(true);
+            test.done();
+        }, ms);
+    };
+    return mod;
+};
+
+
+exports.testRunFiles = function (test) {
+    var events = [];
+    var runner = nodeunit.createRunner({
+        testDone: function (name) {
+            events.push('option testDone ' + name);
+        }
+    });
+    runner.on('moduleStart', function (name) {
+        events.push('moduleStart ' + name);
+    });
+    runner.on('testDone', function (name, assertions) {
+        events.push('testDone ' + name);
+    });
+    runner.on('complete', function (name, assertions) {
+        events.push('complete ' + name + ' ' + assertions.length);
+    });
+    runner.on('done', function (assertions) {
+        events.push('done ' + assertions.length);
+    });
+    runner.runFiles([__dirname + '/fixtures/example_test.js'], function (err, assertions) {
+        test.equal(err, null);
+        test.same(events, [
+            'moduleStart example_test.js',
+            'option testDone example test',
+            'testDone example test',
+            'complete example_test.js 1',
+            'done 1'
+        ]);
+        test.equal(assertions.length, 1);
+        test.equal(runner.results, assertions);
+        test.done();
+    });
+};
+
+exports.testIndependentRunners = function (test) {
+    var global_complete = 0;
+    var onComplete = function () {
+        global_complete += 1;
+    };
+    nodeunit.on('complete', onComplete);
+
+    var runner1 = nodeunit.createRunner();
+    var runner2 = nodeunit.createRunner({timeout: 5});
+    var done1 = [], done2 = [];
+    runner1.on('testDone', function (name) {
+        done1.push(name.toString());
+    });
+    runner2.on('testDone', function (name) {
+        done2.push(name.toString());
+    });
+
+    var finished = 0;
+    var finish = function () {
+        finished += 1;
+        if (finished < 2) {
+            return;
+        }
+        nodeunit.removeListener('complete', onComplete);
+        test.same(done1, ['a', 'b']);
+        test.same(done2, ['c']);
+        test.equal(runner1.results.failures(), 0);
+        test.equal(runner2.results.failures(), 1, 'only runner2 times out');
+        test.equal(global_complete, 0);
+        test.done();
+    };
+    runner1.runModules({
+        mod1: slowModule('a', 10),
+        mod2: slowModule('b', 0)
+    }, finish);
+    runner2.runModules({mod3: slowModule('c', 20)}, finish);
+};
+
+exports.testUncaughtConcurrentRunners = function (test) {
+    var runner1 = nodeunit.createRunner();
+    var runner2 = nodeunit.createRunner();
+    var errors1 = [], errors2 = [];
+    var testDone = function (errors) {
+        return function (name, assertions) {
+            assertions.forEach(function (a) {
+                if (a.failed()) {
+                    errors.push(name + ': ' + a.error.message);
+                }
+            });
+        };
+    };
+    runner1.on('testDone', testDone(errors1));
+    runner2.on('testDone', testDone(errors2));
+
+    var finished = 0;
+    var finish = function () {
+        finished += 1;
+        if (finished < 2) {
+            return;
+        }
+        test.same(errors1, ['a: thrown by runner1']);
+        test.same(errors2, []);
+        test.equal(runner2.results.failures(), 0);
+        test.done();
+    };
+    runner1.runModules({mod1: {
+        a: function (t) {
+            setTimeout(function () {
+                throw new Error('thrown by runner1');
+            }, 10);
+        }
+    }}, finish);
+    runner2.runModules({mod2: slowModule('b', 30)}, finish);
+};
+
+exports.testOneRunAtATime = function (test) {
+    var runner = nodeunit.createRunner();
+    runner.runModules({mod: slowModule('a', 0)}, function (err) {
+        test.equal(err, null);
+        // can be reused once done
+        runner.runModules({mod: slowModule('a', 0)}, function (err, assertions) {
+            test.equal(assertions.length, 1);
+            test.done();
+        });
+    });
+    runner.runModules({mod: slowModule('a', 0)}, function (err) {
+        test.equal(err.message, 'Runner is already running');
+    });
+};
+
+exports.testDispose = function (test) {
+    var runner = nodeunit.createRunner();
+    runner.on('done', function () {
+        test.ok(false, 'listeners are removed');
+    });
+    runner.dispose();
+    test.equal(runner.listeners('done').length, 0);
+    runner.runModules({}, function (err) {
+        test.equal(err.message, 'Runner has been disposed');
+        test.done();
+    });
+};
+
+exports.testLoadError = function (test) {
+    var runner = nodeunit.createRunner();
+    runner.runFiles([__dirname + '/fixtures/does_not_exist.js'], function (err) {
+        test.ok(err instanceof Error);
+        test.equal(runner.running, false);
+        test.done();
+    });
+};
+
+exports.testLegacyCompleteEvent = function (test) {
+    var completed = [];
+    var onComplete = function (name, assertions) {
+        completed.push(name);
+    };
+    nodeunit.on('complete', onComplete);
+    nodeunit.runModule('legacy', slowModule('a', 0), {}, function () {
+        nodeunit.removeListener('complete', onComplete);
+        test.same(completed, ['legacy']);
+        test.done();
+    });
+};
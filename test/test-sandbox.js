@@ -29,3 +29,62 @@ exports.testSandboxMultiple = function (test) {
     test.equal(raw_jscode3.t, 3, 'two files loaded');
     test.done();
 };
+
+exports.testSandboxRequire = function (test) {
+    var box = sandbox(__dirname + '/sandbox/requires.js', null, {
+        stubs: {db: {name: 'stub'}},
+        globals: true
+    });
+    test.equal(box.describe(), 'dep stub');
+    test.equal(box.require.resolve('./dep'), __dirname + '/sandbox/dep.js');
+    test.equal(box.console, console);
+    box.later(function (result) {
+        test.equal(result, 'done');
+        test.done();
+    });
+};
+
+exports.testSandboxGlobals = function (test) {
+    test.throws(function () {
+        // no stubs for db, nor require at all
+        sandbox(__dirname + '/sandbox/requires.js');
+    }, /require is not defined/);
+    var box = sandbox(__dirname + '/fixtures/raw_jscode1.js', {}, {
+        globals: ['Buffer']
+    });
+    test.same(Object.keys(box).sort(), ['Buffer', 'hello_world']);
+    test.done();
+};
+
+exports.testSandboxTimeout = function (test) {
+    var file = __dirname + '/sandbox/loop.js';
+    test.throws(function () {
+        sandbox(file, null, {timeout: 50});
+    }, function (err) {
+        return err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' &&
+            err.message.indexOf(file) !== -1;
+    });
+    test.done();
+};
+
+exports.testSandboxErrors = function (test) {
+    var file = __dirname + '/sandbox/error.js';
+    try {
+        sandbox([__dirname + '/fixtures/raw_jscode1.js', file]);
+        test.ok(false, 'should throw');
+    }
+    catch (e) {
+        test.equal(e.message, 'thrown on line 3');
+        test.ok(e.stack.indexOf(file + ':3') !== -1, 'points at the file');
+    }
+    file = __dirname + '/sandbox/syntax.js';
+    try {
+        sandbox(file);
+        test.ok(false, 'should throw');
+    }
+    catch (e) {
+        test.equal(e.name, 'SyntaxError');
+        test.ok(e.stack.indexOf(file + ':2') !== -1, 'points at the file');
+    }
+    test.done();
+};
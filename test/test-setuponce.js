@@ -0,0 +1,214 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+exports.testSetUpOnceRunsOncePerGroup = function (test) {
+    var call_order = [];
+    var s = {
+        setUpOnce: function (callback) {
+            call_order.push('setUpOnce');
+            callback();
+        },
+        tearDownOnce: function (callback) {
+            call_order.push('tearDownOnce');
+            callback();
+        },
+        setUp: function (callback) {
+            call_order.push('setUp');
+            callback();
+        },
+        test1: function (t) {
+            call_order.push('test1');
+            t.done();
+        },
+        test2: function (t) {
+            call_order.push('test2');
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.same(call_order, [
+            'setUpOnce',
+            'setUp', 'test1',
+            'setUp', 'test2',
+            'tearDownOnce'
+        ]);
+        test.done();
+    });
+};
+
+exports.testNestedGroups = function (test) {
+    var call_order = [];
+    var testmodule = {
+        setUpOnce: function (callback) {
+            call_order.push('module setUpOnce');
+            callback();
+        },
+        tearDownOnce: function (callback) {
+            call_order.push('module tearDownOnce');
+            callback();
+        },
+        test1: function (t) {
+            call_order.push('test1');
+            t.done();
+        },
+        group: {
+            setUpOnce: function (callback) {
+                call_order.push('group setUpOnce');
+                callback();
+            },
+            tearDownOnce: function (callback) {
+                call_order.push('group tearDownOnce');
+                callback();
+            },
+            test2: function (t) {
+                call_order.push('test2');
+                t.done();
+            },
+            test3: function (t) {
+                call_order.push('test3');
+                t.done();
+            }
+        }
+    };
+    nodeunit.runModule('testmodule', testmodule, {}, function () {
+        test.same(call_order, [
+            'module setUpOnce',
+            'test1',
+            'group setUpOnce',
+            'test2',
+            'test3',
+            'group tearDownOnce',
+            'module tearDownOnce'
+        ]);
+        test.done();
+    });
+};
+
+exports.testContextIsShared = function (test) {
+    var s = {
+        setUpOnce: function (callback) {
+            this.server = 'started';
+            callback();
+        },
+        tearDownOnce: function (callback) {
+            test.equal(this.server, 'started');
+            callback();
+        },
+        test1: function (t) {
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {}, function (err, assertions) {
+        test.done();
+    });
+};
+
+exports.testSetUpOnceError = function (test) {
+    var test_error = new Error('test error');
+    var call_order = [];
+    var s = {
+        setUpOnce: function (callback) {
+            callback(test_error);
+        },
+        tearDownOnce: function (callback) {
+            call_order.push('tearDownOnce');
+            callback();
+        },
+        setUp: function (callback) {
+            call_order.push('setUp');
+            callback();
+        },
+        test1: function (t) {
+            call_order.push('test1');
+            t.done();
+        },
+        group: {
+            setUpOnce: function (callback) {
+                call_order.push('group setUpOnce');
+                callback();
+            },
+            test2: function (t) {
+                call_order.push('test2');
+                t.done();
+            }
+        }
+    };
+    var done = [];
+    nodeunit.runSuite(null, s, {
+        testDone: function (name, assertions) {
+            done.push(name.toString());
+            test.equal(assertions.failures(), 1);
+        }
+    }, function (err, assertions) {
+        test.same(call_order, ['tearDownOnce']);
+        test.same(done, ['test1', 'group - test2']);
+        test.equal(assertions.length, 2);
+        test.equal(assertions[0].error, test_error);
+        test.equal(assertions[1].error, test_error);
+        test.done();
+    });
+};
+
+exports.testTearDownOnceError = function (test) {
+    var test_error = new Error('test error');
+    var done = [];
+    var s = {
+        tearDownOnce: function () {
+            return Promise.reject(test_error);
+        },
+        test1: function (t) {
+            t.ok(true);
+            t.done();
+        }
+    };
+    nodeunit.runSuite(['group'], s, {
+        testDone: function (name) {
+            done.push(name.toString());
+        }
+    }, function (err, assertions) {
+        test.same(done, ['group - test1', 'group - tearDownOnce']);
+        test.equal(assertions.length, 2);
+        test.ok(assertions[0].passed());
+        test.equal(assertions[1].error, test_error);
+        test.done();
+    });
+};
+
+exports.testSetUpOnceTimeout = function (test) {
+    var s = {
+        setUpOnce: function (callback) {
+            // never calls back
+        },
+        test1: function (t) {
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {timeout: 10}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.equal(assertions[0].message, 'setUpOnce timed out after 10ms');
+        test.done();
+    });
+};
+
+exports.testNotRunWithoutTests = function (test) {
+    var s = {
+        setUpOnce: function (callback) {
+            test.ok(false, 'setUpOnce should not be called');
+            callback();
+        },
+        tearDownOnce: function (callback) {
+            test.ok(false, 'tearDownOnce should not be called');
+            callback();
+        },
+        test1: nodeunit.skip(function (t) {
+            t.done();
+        }),
+        test2: function (t) {
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {testspec: 'test3'}, function (err, assertions) {
+        test.equal(assertions.length, 0);
+        test.done();
+    });
+};
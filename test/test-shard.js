@@ -0,0 +1,88 @@
+var nodeunit = require('../lib/nodeunit'),
+    utils = require('../lib/utils');
+
+
+var files = ['test/a', 'test/b', 'test/c', 'test/d', 'test/e'];
+
+
+exports.testParseShard = function (test) {
+    test.same(utils.parseShard('2/3'), {index: 2, total: 3});
+    test.throws(function () {
+        utils.parseShard('4/3');
+    }, /Invalid shard "4\/3"/);
+    test.throws(function () {
+        utils.parseShard('0/3');
+    });
+    test.throws(function () {
+        utils.parseShard('1');
+    });
+    test.done();
+};
+
+exports.testDisjointSlices = function (test) {
+    var slices = [1, 2, 3].map(function (i) {
+        return utils.shardFiles(files, i + '/3');
+    });
+    test.same(slices, [
+        ['test/a', 'test/d'],
+        ['test/b', 'test/e'],
+        ['test/c']
+    ]);
+    test.same(
+        utils.shardFiles(files.slice().reverse(), '1/3'),
+        ['test/d', 'test/a'],
+        'the order of the files does not matter, and is kept'
+    );
+    test.done();
+};
+
+exports.testTimings = function (test) {
+    var timings = {'test/a': 100, 'test/b': 10, 'test/c': 40, 'test/d': 50};
+    // e has no timing, so counts as the average of 50
+    test.same(utils.shardFiles(files, '1/2', timings), ['test/a', 'test/c']);
+    test.same(utils.shardFiles(files, '2/2', timings),
+              ['test/b', 'test/d', 'test/e']);
+    test.done();
+};
+
+exports.testZeroTimings = function (test) {
+    var eight = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+    var timings = {};
+    eight.forEach(function (file) {
+        timings[file] = 0;
+    });
+    var slices = function () {
+        return [1, 2, 3, 4].map(function (i) {
+            return utils.shardFiles(eight, i + '/4', timings);
+        });
+    };
+    // files which took no time are still spread out
+    test.same(slices(), [['a', 'e'], ['b', 'f'], ['c', 'g'], ['d', 'h']]);
+    timings.a = 3;
+    test.same(slices(), [['a'], ['b', 'e', 'h'], ['c', 'f'], ['d', 'g']]);
+    test.done();
+};
+
+exports.testFileDurations = function (test) {
+    test.same(utils.fileDurations([
+        {file: 'test/a', duration: 5},
+        {file: 'test/a', duration: 7},
+        {file: process.cwd() + '/test/b', duration: 1},
+        {duration: 3}
+    ]), {'test/a': 12, 'test/b': 1});
+    test.done();
+};
+
+exports.testRunFiles = function (test) {
+    var names = [];
+    nodeunit.runFiles([__dirname + '/fresh'], {
+        shard: '2/2',
+        moduleStart: function (name) {
+            names.push(name);
+        },
+        done: function () {
+            test.same(names, ['b_test']);
+            test.done();
+        }
+    });
+};
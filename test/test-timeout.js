@@ -0,0 +1,117 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+exports.testTestBodyTimeout = function (test) {
+    test.expect(4);
+    var s = {
+        stalled: function (t) {
+            t.ok(true, 'started');
+        },
+        next: function (t) {
+            test.ok(true, 'next test still runs');
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {timeout: 20}, function (err, assertions) {
+        test.equal(assertions.length, 2);
+        test.ok(assertions[1].failed());
+        test.equal(assertions[1].message, 'Test timed out after 20ms');
+        test.done();
+    });
+};
+
+exports.testSetUpTimeout = function (test) {
+    test.expect(4);
+    var s = {
+        setUp: function (callback) {
+            // never calls back
+        },
+        tearDown: function (callback) {
+            test.ok(true, 'tearDown still runs');
+            callback();
+        },
+        test1: function (t) {
+            test.ok(false, 'test body should not run');
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {timeout: 20}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.ok(assertions[0].failed());
+        test.equal(assertions[0].message, 'setUp timed out after 20ms');
+        test.done();
+    });
+};
+
+exports.testTearDownTimeout = function (test) {
+    test.expect(3);
+    var s = {
+        tearDown: function (callback) {
+            // never calls back
+        },
+        test1: function (t) {
+            t.done();
+        }
+    };
+    nodeunit.runSuite(null, s, {timeout: 20}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.ok(assertions[0].failed());
+        test.equal(assertions[0].message, 'tearDown timed out after 20ms');
+        test.done();
+    });
+};
+
+exports.testPerTestTimeout = function (test) {
+    var s = {
+        slow: function (t) {
+            t.timeout(50);
+            setTimeout(t.done, 30);
+        },
+        stalled: function (t) {
+            t.timeout(10);
+        }
+    };
+    nodeunit.runSuite(null, s, {timeout: 20}, function (err, assertions) {
+        test.equal(assertions.length, 1);
+        test.equal(assertions[0].message, 'Test timed out after 10ms');
+        test.done();
+    });
+};
+
+exports.testModuleTimeout = function (test) {
+    var testmodule = {
+        timeout: 10,
+        stalled: function (t) {}
+    };
+    nodeunit.runModule('testmodule', testmodule, {
+        testDone: function (name, assertions) {
+            test.equal(name.toString(), 'stalled');
+            test.equal(assertions.failures(), 1);
+        }
+    }, function (err, assertions) {
+        test.equal(assertions[0].message, 'Test timed out after 10ms');
+        test.done();
+    });
+};
+
+exports.testLateDoneIgnored = function (test) {
+    var testDone_calls = 0;
+    var s = {
+        late: function (t) {
+            setTimeout(function () {
+                t.done();
+            }, 30);
+        }
+    };
+    nodeunit.runSuite(null, s, {
+        timeout: 10,
+        testDone: function () {
+            testDone_calls += 1;
+        }
+    }, function (err, assertions) {
+        setTimeout(function () {
+            test.equal(testDone_calls, 1);
+            test.done();
+        }, 40);
+    });
+};
@@ -0,0 +1,144 @@
+var nodeunit = require('../lib/nodeunit');
+
+
+exports.testUncaughtException = function (test) {
+    var runner = nodeunit.createRunner();
+    var results = {};
+    runner.on('testDone', function (name, assertions) {
+        results[name.toString()] = assertions.test;
+    });
+    runner.runModules({
+        mod: {
+            throws: function (test) {
+                setTimeout(function () {
+                    throw new Error('from a timer');
+                }, 0);
+            },
+            next: function (test) {
+                test.ok(true);
+                test.done();
+            }
+        }
+    }, function (err, assertions) {
+        test.equal(results.throws.status, 'errored');
+        test.equal(results.throws.error.message, 'from a timer');
+        test.equal(results.next.status, 'passed');
+        test.equal(assertions.failures(), 1);
+        test.done();
+    });
+};
+
+exports.testUnhandledRejection = function (test) {
+    var runner = nodeunit.createRunner();
+    var results = {};
+    runner.on('testDone', function (name, assertions) {
+        results[name.toString()] = assertions.test;
+    });
+    runner.runModules({
+        mod: {
+            rejects: function (test) {
+                Promise.reject('nobody is listening');
+            },
+            next: function (test) {
+                test.done();
+            }
+        }
+    }, function (err, assertions) {
+        test.equal(results.rejects.status, 'errored');
+        test.equal(
+            results.rejects.error.message,
+            'Promise rejected with nobody is listening'
+        );
+        test.equal(results.next.status, 'passed');
+        test.done();
+    });
+};
+
+exports.testUncaughtAssertion = function (test) {
+    var runner = nodeunit.createRunner();
+    var result;
+    runner.on('testDone', function (name, assertions) {
+        result = assertions.test;
+    });
+    runner.runModules({
+        mod: {
+            asserts: function (test) {
+                setTimeout(function () {
+                    require('assert').ok(false);
+                }, 0);
+            }
+        }
+    }, function (err, assertions) {
+        test.equal(result.status, 'errored');
+        test.equal(result.error.code, 'ERR_ASSERTION');
+        test.done();
+    });
+};
+
+exports.testBetweenTests = function (test) {
+    var runner = nodeunit.createRunner({
+        testDone: function (name) {
+            if (name.toString() === 'test1') {
+                // the test has finished, the next one has not started
+                nodeunit.failRunning(new Error('between tests'));
+            }
+        }
+    });
+    var names = [];
+    runner.on('testDone', function (name, assertions) {
+        names.push(name.toString() + ' ' + assertions.test.status);
+    });
+    runner.runModules({
+        mod: {
+            test1: function (test) {
+                test.done();
+            },
+            test2: function (test) {
+                test.done();
+            }
+        }
+    }, function (err, assertions) {
+        test.same(names, [
+            'test1 passed',
+            'test2 passed',
+            'uncaught error errored'
+        ]);
+        test.equal(assertions.failures(), 1);
+        test.equal(assertions[assertions.length - 1].error.message,
+                   'between tests');
+        test.done();
+    });
+};
+
+exports.testConcurrentTests = function (test) {
+    var runner = nodeunit.createRunner();
+    var results = {};
+    runner.on('testDone', function (name, assertions) {
+        results[name.toString()] = assertions.test;
+    });
+    runner.runModules({
+        mod: {
+            concurrency: 2,
+            throws: function (test) {
+                setTimeout(function () {
+                    throw new Error('from a timer');
+                }, 0);
+            },
+            waits: function (test) {
+                setTimeout(test.done, 50);
+            },
+            next: function (test) {
+                test.done();
+            }
+        }
+    }, function (err, assertions) {
+        // it is not known which of the running tests threw, so both fail
+        test.equal(results.throws.status, 'errored');
+        test.equal(results.throws.error.message, 'from a timer');
+        test.equal(results.waits.status, 'errored');
+        test.equal(results.waits.error.message, 'from a timer');
+        test.equal(results.next.status, 'passed');
+        test.equal(assertions.failures(), 2);
+        test.done();
+    });
+};